@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Print archive: every job's final output is kept under `dir` so it can be reprinted.
+ *
+ *  <dir>/<YYYY-MM-DD>/<jobId>.pdf|.bin   exactly what was sent to the printer
+ *  <dir>/<YYYY-MM-DD>/<jobId>.json       metadata (endpoint, printer, request id, client, ...)
+ *
+ * Day folders follow the job's creation date (UTC), which keeps retention a
+ * matter of removing whole folders.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DAY_DIR_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function createArchive({ dir, logger }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  // kind: "pdf" | "raw"; printOptions are replayed on reprint
+  function save(job, payload, buffer, { kind, printOptions }) {
+    const day = job.createdAt.slice(0, 10);
+    const dayDir = path.join(dir, day);
+    if (!fs.existsSync(dayDir)) fs.mkdirSync(dayDir, { recursive: true });
+    const file = `${day}/${job.id}.${kind === "pdf" ? "pdf" : "bin"}`;
+    fs.writeFileSync(path.join(dir, file), buffer);
+    const entry = { file, kind, bytes: buffer.length, printOptions: printOptions || null };
+    const meta = {
+      jobId: job.id,
+      type: job.type,
+      printer: payload.printer,
+      endpoint: job.meta.endpoint || null,
+      requestId: job.meta.requestId || null,
+      client: job.meta.client || null,
+      ip: job.meta.ip || null,
+      createdAt: job.createdAt,
+      archivedAt: new Date().toISOString(),
+      ...entry,
+    };
+    fs.writeFileSync(path.join(dayDir, `${job.id}.json`), JSON.stringify(meta, null, 2));
+    return entry;
+  }
+
+  // Absolute path of an archived file, or null once retention removed it
+  function resolve(file) {
+    const full = path.resolve(dir, file);
+    if (!full.startsWith(path.resolve(dir) + path.sep)) return null;
+    return fs.existsSync(full) ? full : null;
+  }
+
+  // Removes day folders older than `cutoff` (ISO date)
+  function prune(cutoff) {
+    const cutoffDay = cutoff.slice(0, 10);
+    let removed = 0;
+    for (const name of fs.readdirSync(dir)) {
+      if (!DAY_DIR_REGEX.test(name) || name >= cutoffDay) continue;
+      fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+      removed++;
+    }
+    if (removed) logger.info("ARCHIVE_PRUNED", { days: removed, before: cutoffDay });
+    return removed;
+  }
+
+  return { dir, save, resolve, prune };
+}
+
+module.exports = { createArchive };
@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+ * API clients with scoped keys.
+ *
+ * config.json:
+ *  "clients": {
+ *    "kiosk-lobby": {
+ *      "keyHash": "sha256:<hex>",                       // sha256 of the key, never the key itself
+ *      "endpoints": ["POST /print-*", "GET /jobs/*", "GET /events"],
+ *      "printers": ["EPSON TM-T83III Receipt", "tcp://10.0.0.*"],
+ *      "rateLimit": 30                                  // print requests (non-GET) per minute
+ *    },
+ *    "it-support": { "keyHash": "sha256:<hex>", "admin": true }
+ *  }
+ *
+ * endpoints / printers are glob lists where * matches anything; leaving one out
+ * allows everything. Admin-only endpoints (logs, dashboard) additionally need
+ * "admin": true. The legacy API_KEY still works as an unrestricted admin client.
+ *
+ * Hash a new key with:
+ *   node -e "console.log(require('crypto').createHash('sha256').update(process.argv[1]).digest('hex'))" <key>
+ */
+
+const crypto = require("crypto");
+
+const LEGACY_CLIENT = "api-key";
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+// "POST /print-*" or just "/print-*" (any method)
+function parseEndpointRule(rule) {
+  const match = String(rule).trim().match(/^(?:([A-Z]+|\*)\s+)?(\S+)$/i);
+  if (!match) throw new Error(`Invalid endpoint rule "${rule}"`);
+  const method = match[1] && match[1] !== "*" ? match[1].toUpperCase() : null;
+  return { method, path: globToRegex(match[2]) };
+}
+
+function parseClient(name, entry) {
+  if (!entry || typeof entry !== "object") throw new Error(`clients.${name} must be an object`);
+  const hex = String(entry.keyHash || "").replace(/^sha256:/i, "");
+  if (!/^[0-9a-f]{64}$/i.test(hex)) throw new Error(`clients.${name}.keyHash must be a sha256 hex digest`);
+  const rateLimit = entry.rateLimit === undefined ? 0 : Number(entry.rateLimit);
+  if (!Number.isFinite(rateLimit) || rateLimit < 0) throw new Error(`clients.${name}.rateLimit must be a number >= 0`);
+  return {
+    name,
+    keyHash: Buffer.from(hex, "hex"),
+    endpoints: Array.isArray(entry.endpoints) ? entry.endpoints.map(parseEndpointRule) : null,
+    printers: Array.isArray(entry.printers) ? entry.printers.map((p) => globToRegex(String(p))) : null,
+    rateLimit,
+    admin: entry.admin === true,
+  };
+}
+
+function createAuth({ clients, legacyKey }) {
+  const list = Object.entries(clients || {}).map(([name, entry]) => parseClient(name, entry));
+  if (legacyKey) {
+    list.push({ name: LEGACY_CLIENT, keyHash: sha256(legacyKey), endpoints: null, printers: null, rateLimit: 0, admin: true });
+  }
+  const windows = new Map();
+
+  // Client for a presented key, or null. Every client is compared so timing does not leak which one matched.
+  function identify(key) {
+    if (!key) return null;
+    const hash = sha256(key);
+    let found = null;
+    for (const client of list) {
+      if (crypto.timingSafeEqual(hash, client.keyHash) && !found) found = client;
+    }
+    return found;
+  }
+
+  function allowsEndpoint(client, method, path) {
+    if (!client.endpoints) return true;
+    return client.endpoints.some((rule) => (!rule.method || rule.method === method) && rule.path.test(path));
+  }
+
+  function allowsPrinter(client, printer) {
+    if (!client || !client.printers) return true;
+    return client.printers.some((re) => re.test(String(printer || "")));
+  }
+
+  // Fixed one-minute window per client; returns seconds to wait when over the limit
+  function consume(client) {
+    if (!client.rateLimit) return 0;
+    const nowMs = Date.now();
+    let win = windows.get(client.name);
+    if (!win || nowMs - win.start >= 60000) {
+      win = { start: nowMs, count: 0 };
+      windows.set(client.name, win);
+    }
+    if (win.count >= client.rateLimit) return Math.ceil((win.start + 60000 - nowMs) / 1000);
+    win.count++;
+    return 0;
+  }
+
+  return {
+    enabled: list.length > 0,
+    clients: list.map((c) => c.name),
+    identify,
+    allowsEndpoint,
+    allowsPrinter,
+    isAdmin: (client) => Boolean(client && client.admin),
+    consume,
+  };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * Warm Puppeteer browser shared by all renders.
+ *
+ * - Chromium is launched once at boot (and lazily again if that failed)
+ * - each render gets a fresh page from the shared browser, closed afterwards
+ * - at most `maxConcurrent` renders run at once; the rest wait their turn
+ * - a periodic health check relaunches the browser if it hangs or crashes
+ */
+
+const LAUNCH_ARGS = ["--no-sandbox", "--disable-setuid-sandbox"];
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function createBrowserPool({ logger, maxConcurrent = 2, healthIntervalMs = 30000, healthTimeoutMs = 5000 }) {
+  let browser = null;
+  let launching = null;
+  let active = 0;
+  let healthTimer = null;
+  let closing = false;
+  const waiters = [];
+
+  async function launch() {
+    const puppeteer = require("puppeteer");
+    const started = Date.now();
+    const instance = await puppeteer.launch({ headless: true, args: LAUNCH_ARGS });
+    instance.on("disconnected", () => {
+      if (browser === instance) browser = null;
+      if (!closing) logger.warn("BROWSER_DISCONNECTED", { pid: pidOf(instance) });
+    });
+    logger.info("BROWSER_LAUNCHED", { pid: pidOf(instance), duration_ms: Date.now() - started });
+    return instance;
+  }
+
+  function pidOf(instance) {
+    const proc = instance && instance.process();
+    return proc ? proc.pid : null;
+  }
+
+  function getBrowser() {
+    if (browser && browser.connected) return Promise.resolve(browser);
+    if (!launching) {
+      launching = launch()
+        .then((instance) => {
+          browser = instance;
+          return instance;
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    return launching;
+  }
+
+  async function discard(reason) {
+    const old = browser;
+    browser = null;
+    if (!old) return;
+    logger.warn("BROWSER_RELAUNCH", { reason, pid: pidOf(old) });
+    try {
+      await withTimeout(old.close(), healthTimeoutMs, "close timed out");
+    } catch (e) {
+      const proc = old.process();
+      if (proc) proc.kill("SIGKILL");
+    }
+  }
+
+  function acquire() {
+    if (active < maxConcurrent) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiters.push(resolve));
+  }
+
+  function release() {
+    const next = waiters.shift();
+    if (next) next();
+    else active--;
+  }
+
+  // Runs fn(page) on a fresh page of the shared browser
+  async function withPage(fn) {
+    await acquire();
+    let page;
+    try {
+      const instance = await getBrowser();
+      page = await instance.newPage();
+      return await fn(page);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      release();
+    }
+  }
+
+  async function checkHealth() {
+    if (!browser || launching) return;
+    try {
+      await withTimeout(browser.version(), healthTimeoutMs, "browser did not respond to health check");
+    } catch (e) {
+      await discard(e.message);
+      getBrowser().catch((err) => logger.error("BROWSER_LAUNCH_ERROR", { error: err.message }));
+    }
+  }
+
+  function start() {
+    getBrowser().catch((e) => logger.error("BROWSER_LAUNCH_ERROR", { error: e.message, stack: e.stack }));
+    if (healthIntervalMs > 0) {
+      healthTimer = setInterval(checkHealth, healthIntervalMs);
+      healthTimer.unref();
+    }
+  }
+
+  async function close() {
+    closing = true;
+    if (healthTimer) clearInterval(healthTimer);
+    if (browser) await browser.close().catch(() => {});
+    browser = null;
+  }
+
+  function stats() {
+    return { connected: Boolean(browser && browser.connected), active, waiting: waiters.length, maxConcurrent };
+  }
+
+  return { start, close, withPage, stats };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * ESC/POS character code tables.
+ *
+ * Printers read text bytes in their active code page (ESC t n), so UTF-8 text has
+ * to be transcoded before it is sent. encodeText() maps each character to the
+ * page, transliterates the ones the page lacks ("•" -> "*", "ő" -> "o", "€" -> "EUR")
+ * and uses "?" as the last resort.
+ *
+ * Page names: cp437 (USA), cp850 (Multilingual), cp858 (cp850 with €), wpc1252 (Windows Latin 1).
+ * `escT` is the Epson ESC t value; other brands mostly follow it for these pages.
+ */
+
+const ESC = 0x1b;
+
+// Characters for bytes 0x80-0xFF; \u0000 marks an unassigned byte
+const CODE_PAGES = {
+  cp437: {
+    escT: 0,
+    high:
+      "ÇüéâäàåçêëèïîìÄÅ" +
+      "ÉæÆôöòûùÿÖÜ¢£¥₧ƒ" +
+      "áíóúñÑªº¿⌐¬½¼¡«»" +
+      "░▒▓│┤╡╢╖╕╣║╗╝╜╛┐" +
+      "└┴┬├─┼╞╟╚╔╩╦╠═╬╧" +
+      "╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀" +
+      "αßΓπΣσµτΦΘΩδ∞φε∩" +
+      "≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0",
+  },
+  cp850: {
+    escT: 2,
+    high:
+      "ÇüéâäàåçêëèïîìÄÅ" +
+      "ÉæÆôöòûùÿÖÜø£Ø×ƒ" +
+      "áíóúñÑªº¿®¬½¼¡«»" +
+      "░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐" +
+      "└┴┬├─┼ãÃ╚╔╩╦╠═╬¤" +
+      "ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀" +
+      "ÓßÔÒõÕµþÞÚÛÙýÝ¯´" +
+      "\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0",
+  },
+  cp858: {
+    escT: 19,
+    high:
+      "ÇüéâäàåçêëèïîìÄÅ" +
+      "ÉæÆôöòûùÿÖÜø£Ø×ƒ" +
+      "áíóúñÑªº¿®¬½¼¡«»" +
+      "░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐" +
+      "└┴┬├─┼ãÃ╚╔╩╦╠═╬¤" +
+      "ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀" +
+      "ÓßÔÒõÕµþÞÚÛÙýÝ¯´" +
+      "\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0",
+  },
+  wpc1252: {
+    escT: 16,
+    high:
+      "€\u0000‚ƒ„…†‡ˆ‰Š‹Œ\u0000Ž\u0000" +
+      "\u0000‘’“”•–—˜™š›œ\u0000žŸ" +
+      "\u00a0¡¢£¤¥¦§¨©ª«¬\u00ad®¯" +
+      "°±²³´µ¶·¸¹º»¼½¾¿" +
+      "ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏ" +
+      "ÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞß" +
+      "àáâãäåæçèéêëìíîï" +
+      "ðñòóôõö÷øùúûüýþÿ",
+  },
+};
+
+const ALIASES = { "437": "cp437", "850": "cp850", "858": "cp858", "1252": "wpc1252", cp1252: "wpc1252", "windows-1252": "wpc1252" };
+
+// Tried in order when a page lacks a character; the first spelling the page can show wins
+const TRANSLITERATIONS = {
+  "•": ["∙", "·", "*"],
+  "‣": ["*"],
+  "◦": ["o"],
+  "–": ["-"],
+  "—": ["-"],
+  "‐": ["-"],
+  "−": ["-"],
+  "‘": ["'"],
+  "’": ["'"],
+  "‚": [","],
+  "“": ['"'],
+  "”": ['"'],
+  "„": ['"'],
+  "‹": ["<"],
+  "›": [">"],
+  "«": ["<<"],
+  "»": [">>"],
+  "…": ["..."],
+  "€": ["EUR"],
+  "™": ["TM"],
+  "©": ["(c)"],
+  "®": ["(R)"],
+  "°": ["o"],
+  "²": ["2"],
+  "³": ["3"],
+  "¹": ["1"],
+  "½": ["1/2"],
+  "¼": ["1/4"],
+  "¾": ["3/4"],
+  "×": ["x"],
+  "÷": ["/"],
+  "±": ["+/-"],
+  "≤": ["<="],
+  "≥": [">="],
+  "≠": ["!="],
+  "→": ["->"],
+  "←": ["<-"],
+  "µ": ["u"],
+  "ß": ["ss"],
+  "Æ": ["AE"],
+  "æ": ["ae"],
+  "Œ": ["OE"],
+  "œ": ["oe"],
+  "Ø": ["O"],
+  "ø": ["o"],
+  "Ł": ["L"],
+  "ł": ["l"],
+  "Đ": ["D"],
+  "đ": ["d"],
+  "ı": ["i"],
+  "\u00a0": [" "],
+  "\u2007": [" "],
+  "\u2009": [" "],
+  "\u202f": [" "],
+  "\u200b": [""],
+  "\u00ad": [""],
+};
+
+const tables = new Map();
+
+function resolveCodePage(name) {
+  const key = String(name || "").trim().toLowerCase();
+  const resolved = ALIASES[key] || key;
+  return CODE_PAGES[resolved] ? resolved : null;
+}
+
+// { encode: Map(char -> byte), decode: string[256] }
+function table(name) {
+  if (tables.has(name)) return tables.get(name);
+  const encode = new Map();
+  const decode = [];
+  for (let b = 0; b < 0x80; b++) decode.push(String.fromCharCode(b));
+  [...CODE_PAGES[name].high].forEach((ch, index) => {
+    decode.push(ch === "\u0000" ? "?" : ch);
+    if (ch !== "\u0000" && !encode.has(ch)) encode.set(ch, 0x80 + index);
+  });
+  const entry = { encode, decode };
+  tables.set(name, entry);
+  return entry;
+}
+
+function codePageNames() {
+  return Object.keys(CODE_PAGES);
+}
+
+// ESC t n for the page
+function selectCodePage(name) {
+  const page = resolveCodePage(name);
+  if (!page) throw new Error(`Unknown code page "${name}"`);
+  return Buffer.from([ESC, 0x74, CODE_PAGES[page].escT]);
+}
+
+// Bytes for a single character, or null when the page cannot show it
+function encodeChar(ch, encode) {
+  const code = ch.codePointAt(0);
+  if (code < 0x80) return [code];
+  const byte = encode.get(ch);
+  return byte === undefined ? null : [byte];
+}
+
+function encodeString(text, encode) {
+  const out = [];
+  for (const ch of text) {
+    const bytes = encodeChar(ch, encode);
+    if (!bytes) return null;
+    out.push(...bytes);
+  }
+  return out;
+}
+
+/**
+ * UTF-8 text -> bytes in the code page (without the ESC t selector).
+ * Returns { buffer, replaced } where replaced counts characters printed as "?".
+ */
+function encodeText(text, name) {
+  const page = resolveCodePage(name);
+  if (!page) throw new Error(`Unknown code page "${name}"`);
+  const { encode } = table(page);
+  const out = [];
+  let replaced = 0;
+  for (const ch of String(text).normalize("NFC")) {
+    const direct = encodeChar(ch, encode);
+    if (direct) {
+      out.push(...direct);
+      continue;
+    }
+    const candidates = [...(TRANSLITERATIONS[ch] || []), ch.normalize("NFD").replace(/\p{M}+/gu, "")];
+    const spelled = candidates.map((candidate) => encodeString(candidate, encode)).find((bytes) => bytes !== null);
+    if (spelled) {
+      out.push(...spelled);
+    } else {
+      out.push(0x3f);
+      replaced++;
+    }
+  }
+  return { buffer: Buffer.from(out), replaced };
+}
+
+// Bytes in the code page -> string
+function decodeText(bytes, name) {
+  const page = resolveCodePage(name);
+  if (!page) return Buffer.from(bytes).toString("latin1");
+  const { decode } = table(page);
+  let out = "";
+  for (const b of bytes) out += decode[b];
+  return out;
+}
+
+// Page for an ESC t value, or null when it is not one of ours
+function codePageForEscT(n) {
+  return Object.keys(CODE_PAGES).find((name) => CODE_PAGES[name].escT === n) || null;
+}
+
+module.exports = { resolveCodePage, codePageNames, selectCodePage, encodeText, decodeText, codePageForEscT };
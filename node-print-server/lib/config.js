@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * Site configuration (JSON), for settings that do not fit in ENV:
+ *  - media:    named label/paper profiles (see lib/media.js)
+ *  - printers: per-printer settings keyed by printer name, e.g. { "TSC TE244": { media: "vial-50x30", language: "tspl" } }
+ *      media     default media profile for the printer
+ *      language  "tspl" | "zpl" for JSON label layouts
+ *      codePage  ESC/POS code page for text: "cp437" | "cp850" | "cp858" | "wpc1252" (see lib/codepages.js)
+ *      targets   makes the name a logical alias: physical printers in priority order (see lib/transports/routing.js)
+ *  - clients:  named API clients with hashed keys and their allowed endpoints/printers (see lib/auth.js)
+ *
+ * The file is optional; see config.example.json. Path: PRINT_CONFIG (default ./config.json next to server.js).
+ */
+
+const fs = require("fs");
+const { resolveCodePage, codePageNames } = require("./codepages");
+
+function loadConfig(file) {
+  if (!file || !fs.existsSync(file)) return { file: null, media: {}, printers: {} };
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to parse config ${file}: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Config ${file} must contain a JSON object`);
+  }
+  for (const [name, settings] of Object.entries(parsed.printers || {})) {
+    if (settings && settings.targets !== undefined) {
+      const ok = Array.isArray(settings.targets) && settings.targets.length && settings.targets.every((t) => typeof t === "string" && t);
+      if (!ok) throw new Error(`Config ${file}: printers["${name}"].targets must be a non-empty array of printer names`);
+    }
+    if (settings && settings.codePage !== undefined && !resolveCodePage(settings.codePage)) {
+      throw new Error(`Config ${file}: printers["${name}"].codePage must be one of: ${codePageNames().join(", ")}`);
+    }
+  }
+  return {
+    ...parsed,
+    file,
+    media: parsed.media || {},
+    printers: parsed.printers || {},
+  };
+}
+
+function printerSettings(config, name) {
+  if (!name || !config.printers) return {};
+  return config.printers[name] || {};
+}
+
+// { alias: [target, ...] } for every printer entry with targets
+function printerAliases(config) {
+  const aliases = {};
+  for (const [name, settings] of Object.entries(config.printers || {})) {
+    if (settings && Array.isArray(settings.targets)) aliases[name] = settings.targets.slice();
+  }
+  return aliases;
+}
+
+// Physical printers named in the config: plain entries plus every alias target
+function physicalPrinters(config) {
+  const aliases = printerAliases(config);
+  const names = Object.keys(config.printers || {}).filter((name) => !aliases[name]);
+  return [...new Set([...names, ...Object.values(aliases).flat()])];
+}
+
+const SECRET_KEY_REGEX = /key|secret|password|token|hash/i;
+
+// Deep copy for display, with anything that looks like a credential replaced
+function maskSecrets(value, keyName) {
+  if (keyName && SECRET_KEY_REGEX.test(keyName) && value !== null && typeof value !== "object") {
+    return value ? "********" : value;
+  }
+  if (Array.isArray(value)) return value.map((v) => maskSecrets(v));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskSecrets(v, k)]));
+  }
+  return value;
+}
+
+module.exports = { loadConfig, printerSettings, printerAliases, physicalPrinters, maskSecrets };
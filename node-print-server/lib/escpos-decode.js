@@ -0,0 +1,306 @@
+"use strict";
+
+/**
+ * ESC/POS stream decoder, for previews and debugging RAW payloads.
+ *
+ * decodeEscpos(buffer, { decodeText? }) -> ops:
+ *  { op: "text", text }
+ *  { op: "newline" }
+ *  { op: "cmd", name, args, offset, length }     // style, feed, cut, code page, drawer...
+ *  { op: "raster", width, height, data }         // GS v 0, width in dots, 1 bit per dot
+ *  { op: "barcode", system, data }               // GS k
+ *  { op: "qr", data }                            // GS ( k store + print
+ *
+ * Text follows the code page selected with ESC t when it is one of lib/codepages.js,
+ * and Latin-1 otherwise, unless a decodeText(bytes) function is given.
+ *
+ * formatEscpos(ops) renders an annotated text view, hexdump(buffer) a classic hex listing.
+ */
+
+const codepages = require("./codepages");
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const FS = 0x1c;
+
+const BARCODE_SYSTEMS = {
+  0: "UPC-A", 1: "UPC-E", 2: "EAN13", 3: "EAN8", 4: "CODE39", 5: "ITF", 6: "CODABAR",
+  65: "UPC-A", 66: "UPC-E", 67: "EAN13", 68: "EAN8", 69: "CODE39", 70: "ITF", 71: "CODABAR",
+  72: "CODE93", 73: "CODE128",
+};
+
+// ESC <x> commands with a fixed number of parameter bytes
+const ESC_FIXED = {
+  0x40: ["init", 0],
+  0x21: ["print-mode", 1],
+  0x45: ["bold", 1],
+  0x2d: ["underline", 1],
+  0x61: ["align", 1],
+  0x64: ["feed-lines", 1],
+  0x4a: ["feed-dots", 1],
+  0x74: ["code-page", 1],
+  0x70: ["drawer-pulse", 3],
+  0x42: ["buzzer", 2],
+  0x4d: ["font", 1],
+  0x47: ["double-strike", 1],
+  0x32: ["line-spacing-default", 0],
+  0x33: ["line-spacing", 1],
+  0x52: ["intl-charset", 1],
+  0x7b: ["upside-down", 1],
+  0x56: ["rotate-90", 1],
+  0x20: ["char-spacing", 1],
+  0x24: ["abs-position", 2],
+  0x5c: ["rel-position", 2],
+  0x69: ["cut", 0],
+  0x6d: ["cut-partial", 0],
+  0x3d: ["select-peripheral", 1],
+  0x72: ["color", 1],
+};
+
+const GS_FIXED = {
+  0x21: ["char-size", 1],
+  0x68: ["barcode-height", 1],
+  0x77: ["barcode-width", 1],
+  0x48: ["barcode-hri", 1],
+  0x66: ["barcode-hri-font", 1],
+  0x42: ["reverse", 1],
+  0x4c: ["left-margin", 2],
+  0x57: ["print-width", 2],
+  0x61: ["auto-status", 1],
+  0x72: ["status-request", 1],
+  0x49: ["printer-id", 1],
+};
+
+const ALIGN_NAMES = ["left", "center", "right"];
+
+function decodeEscpos(buffer, options) {
+  let codePage = null;
+  const decodeText = (options && options.decodeText) || ((bytes) => codepages.decodeText(bytes, codePage));
+  const ops = [];
+  let text = [];
+  let i = 0;
+
+  const flushText = () => {
+    if (!text.length) return;
+    ops.push({ op: "text", text: decodeText(Buffer.from(text)) });
+    text = [];
+  };
+  const cmd = (name, start, length, args) => {
+    flushText();
+    ops.push({ op: "cmd", name, args: args || [], offset: start, length });
+    if (name === "code-page") codePage = codepages.codePageForEscT(args[0]);
+    i = start + length;
+  };
+  const need = (start, length) => start + length <= buffer.length;
+
+  while (i < buffer.length) {
+    const b = buffer[i];
+    const start = i;
+
+    if (b === 0x0a) {
+      flushText();
+      ops.push({ op: "newline" });
+      i++;
+      continue;
+    }
+    if (b === 0x0d) {
+      i++;
+      continue;
+    }
+    if (b === 0x09) {
+      text.push(0x20);
+      i++;
+      continue;
+    }
+    if (b === 0x0c) {
+      cmd("form-feed", start, 1);
+      continue;
+    }
+
+    if (b === ESC && need(start, 2)) {
+      const c = buffer[start + 1];
+      const fixed = ESC_FIXED[c];
+      if (fixed && need(start, 2 + fixed[1])) {
+        cmd(fixed[0], start, 2 + fixed[1], [...buffer.subarray(start + 2, start + 2 + fixed[1])]);
+        continue;
+      }
+      if (c === 0x2a && need(start, 5)) {
+        // ESC * m nL nH: column bit image
+        const m = buffer[start + 2];
+        const n = buffer[start + 3] + buffer[start + 4] * 256;
+        const len = m === 32 || m === 33 ? n * 3 : n;
+        cmd("bit-image", start, Math.min(5 + len, buffer.length - start), [m, n]);
+        continue;
+      }
+      cmd(`ESC 0x${c.toString(16).padStart(2, "0")}`, start, 2);
+      continue;
+    }
+
+    if (b === GS && need(start, 2)) {
+      const c = buffer[start + 1];
+      const fixed = GS_FIXED[c];
+      if (fixed && need(start, 2 + fixed[1])) {
+        cmd(fixed[0], start, 2 + fixed[1], [...buffer.subarray(start + 2, start + 2 + fixed[1])]);
+        continue;
+      }
+      if (c === 0x56 && need(start, 3)) {
+        const m = buffer[start + 2];
+        const withFeed = m === 65 || m === 66 || m === 97 || m === 98;
+        const length = withFeed && need(start, 4) ? 4 : 3;
+        const partial = m === 1 || m === 49 || m === 66 || m === 98;
+        cmd(partial ? "cut-partial" : "cut", start, length, length === 4 ? [buffer[start + 3]] : []);
+        continue;
+      }
+      if (c === 0x6b && need(start, 3)) {
+        const m = buffer[start + 2];
+        let data;
+        let length;
+        if (m <= 6) {
+          let end = start + 3;
+          while (end < buffer.length && buffer[end] !== 0) end++;
+          data = buffer.subarray(start + 3, end);
+          length = end - start + 1;
+        } else {
+          const n = buffer[start + 3] || 0;
+          data = buffer.subarray(start + 4, start + 4 + n);
+          length = 4 + n;
+        }
+        flushText();
+        let value = data.toString("latin1");
+        if (m === 73 && value.startsWith("{")) value = value.slice(2).replace(/\{\{/g, "{");
+        ops.push({ op: "barcode", system: BARCODE_SYSTEMS[m] || `type-${m}`, data: value });
+        i = Math.min(start + length, buffer.length);
+        continue;
+      }
+      if (c === 0x76 && need(start, 8) && buffer[start + 2] === 0x30) {
+        // GS v 0 m xL xH yL yH d1...dk
+        const bytesPerRow = buffer[start + 4] + buffer[start + 5] * 256;
+        const rows = buffer[start + 6] + buffer[start + 7] * 256;
+        const data = buffer.subarray(start + 8, start + 8 + bytesPerRow * rows);
+        flushText();
+        ops.push({ op: "raster", width: bytesPerRow * 8, height: rows, bytesPerRow, data: Buffer.from(data) });
+        i = Math.min(start + 8 + bytesPerRow * rows, buffer.length);
+        continue;
+      }
+      if (c === 0x28 && need(start, 5)) {
+        // GS ( fn pL pH ...: 2D codes and other functions
+        const fn = buffer[start + 2];
+        const len = buffer[start + 3] + buffer[start + 4] * 256;
+        const body = buffer.subarray(start + 5, start + 5 + len);
+        if (fn === 0x6b && body[0] === 0x31 && body[1] === 0x50) {
+          flushText();
+          ops.push({ op: "qr", data: body.subarray(3).toString("latin1"), offset: start });
+          i = Math.min(start + 5 + len, buffer.length);
+          continue;
+        }
+        const name = fn === 0x6b && body[0] === 0x31 ? `qr-${String.fromCharCode(body[1]).toLowerCase()}` : `GS ( 0x${fn.toString(16)}`;
+        cmd(name, start, Math.min(5 + len, buffer.length - start), [...body.subarray(0, 4)]);
+        continue;
+      }
+      cmd(`GS 0x${c.toString(16).padStart(2, "0")}`, start, 2);
+      continue;
+    }
+
+    if (b === DLE && need(start, 3)) {
+      const c = buffer[start + 1];
+      if (c === 0x04) {
+        cmd("status-request", start, 3, [buffer[start + 2]]);
+        continue;
+      }
+      if (c === 0x14 && need(start, 5)) {
+        cmd("realtime-pulse", start, 5, [...buffer.subarray(start + 2, start + 5)]);
+        continue;
+      }
+    }
+
+    if (b === FS && need(start, 2)) {
+      cmd(`FS 0x${buffer[start + 1].toString(16).padStart(2, "0")}`, start, 2);
+      continue;
+    }
+
+    if (b < 0x20) {
+      cmd(`0x${b.toString(16).padStart(2, "0")}`, start, 1);
+      continue;
+    }
+
+    text.push(b);
+    i++;
+  }
+  flushText();
+  return ops;
+}
+
+function describeCmd(op) {
+  const [a, b] = op.args;
+  switch (op.name) {
+    case "align":
+      return `align ${ALIGN_NAMES[a % 48] || a}`;
+    case "bold":
+    case "underline":
+    case "double-strike":
+    case "reverse":
+    case "upside-down":
+      return `${op.name} ${a & 1 ? "on" : "off"}`;
+    case "char-size":
+      return `size ${((a >> 4) & 7) + 1}x${(a & 7) + 1}`;
+    case "feed-lines":
+      return `feed ${a} lines`;
+    case "cut":
+    case "cut-partial":
+      return op.args.length ? `${op.name} (feed ${a})` : op.name;
+    case "drawer-pulse":
+      return `drawer pin ${a & 1 ? 5 : 2} on ${b * 2}ms off ${op.args[2] * 2}ms`;
+    case "buzzer":
+      return `buzzer ${a}x ${b * 100}ms`;
+    case "code-page": {
+      const name = codepages.codePageForEscT(a);
+      return name ? `code page ${a} (${name})` : `code page ${a}`;
+    }
+    default:
+      return op.args.length ? `${op.name} ${op.args.join(",")}` : op.name;
+  }
+}
+
+function formatEscpos(ops) {
+  let out = "";
+  for (const op of ops) {
+    switch (op.op) {
+      case "text":
+        out += op.text;
+        break;
+      case "newline":
+        out += "\n";
+        break;
+      case "cmd":
+        out += `[${describeCmd(op)}]`;
+        if (op.name === "cut" || op.name === "cut-partial") out += "\n";
+        break;
+      case "raster":
+        out += `[raster ${op.width}x${op.height}]\n`;
+        break;
+      case "barcode":
+        out += `[barcode ${op.system}: ${op.data}]\n`;
+        break;
+      case "qr":
+        out += `[qr: ${op.data}]`;
+        break;
+    }
+  }
+  return out;
+}
+
+function hexdump(buffer, maxBytes) {
+  const limit = Math.min(buffer.length, maxBytes || buffer.length);
+  const lines = [];
+  for (let offset = 0; offset < limit; offset += 16) {
+    const chunk = buffer.subarray(offset, Math.min(offset + 16, limit));
+    const hex = [...chunk].map((b) => b.toString(16).padStart(2, "0")).join(" ");
+    const ascii = [...chunk].map((b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : ".")).join("");
+    lines.push(`${offset.toString(16).padStart(8, "0")}  ${hex.padEnd(47)}  ${ascii}`);
+  }
+  if (limit < buffer.length) lines.push(`... ${buffer.length - limit} more bytes`);
+  return lines.join("\n");
+}
+
+module.exports = { decodeEscpos, formatEscpos, hexdump };
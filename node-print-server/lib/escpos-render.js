@@ -0,0 +1,146 @@
+"use strict";
+
+/**
+ * Decoded ESC/POS ops (lib/escpos-decode.js) -> HTML mock-up of the printed receipt,
+ * screenshotted to PNG by the virtual printer.
+ *
+ * Layout follows Font A on a roll of `dots` width: 12 dots per column, so 48
+ * columns on 80mm (576 dots) and 32 on 58mm (384 dots). Text styles, alignment,
+ * character size, feeds, cuts and GS v 0 raster images are reproduced; barcodes
+ * and QR codes are drawn as labelled placeholders with their data.
+ */
+
+const { monochromePng } = require("./raster");
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+const ALIGN_CSS = ["left", "center", "right"];
+
+function escposToHtml(ops, { dots = 576 } = {}) {
+  const columns = Math.floor(dots / 12);
+  const col = `calc(100vw / ${columns})`;
+  const style = { align: "left", bold: false, underline: false, reverse: false, w: 1, h: 1 };
+  const lines = [];
+  let current = [];
+
+  const flushLine = (force) => {
+    if (!current.length && !force) return;
+    lines.push(`<div class="line" style="text-align:${style.align}">${current.join("") || "&nbsp;"}</div>`);
+    current = [];
+  };
+  const block = (html) => {
+    flushLine(false);
+    lines.push(`<div class="block" style="text-align:${style.align}">${html}</div>`);
+  };
+
+  for (const op of ops) {
+    if (op.op === "text") {
+      const classes = [style.bold && "b", style.underline && "u", style.reverse && "r"].filter(Boolean).join(" ");
+      const text = escapeHtml(op.text).replace(/ /g, "&nbsp;");
+      if (style.w === 1 && style.h === 1) {
+        current.push(`<span class="${classes}">${text}</span>`);
+      } else {
+        const width = `calc(${op.text.length * style.w} * ${col})`;
+        current.push(
+          `<span class="sized" style="width:${width};font-size:${style.h}em;line-height:1.2">` +
+            `<span class="${classes}" style="transform:scaleX(${style.w / style.h})">${text}</span></span>`
+        );
+      }
+      continue;
+    }
+    if (op.op === "newline") {
+      flushLine(true);
+      continue;
+    }
+    if (op.op === "raster") {
+      const png = monochromePng({ width: op.width, height: op.height, bytesPerRow: op.bytesPerRow, bits: op.data });
+      const pct = Math.min(100, (op.width / dots) * 100);
+      block(`<img class="raster" style="width:${pct}%" src="data:image/png;base64,${png.toString("base64")}">`);
+      continue;
+    }
+    if (op.op === "barcode") {
+      block(`<div class="barcode"></div><div class="hri">${escapeHtml(op.system)} ${escapeHtml(op.data)}</div>`);
+      continue;
+    }
+    if (op.op === "qr") {
+      block(`<div class="qr"><span>QR</span></div><div class="hri">${escapeHtml(op.data)}</div>`);
+      continue;
+    }
+    const [a] = op.args;
+    switch (op.name) {
+      case "init":
+        Object.assign(style, { align: "left", bold: false, underline: false, reverse: false, w: 1, h: 1 });
+        break;
+      case "align":
+        style.align = ALIGN_CSS[a % 48] || "left";
+        break;
+      case "bold":
+        style.bold = Boolean(a & 1);
+        break;
+      case "underline":
+        style.underline = (a & 3) !== 0;
+        break;
+      case "reverse":
+        style.reverse = Boolean(a & 1);
+        break;
+      case "char-size":
+        style.w = ((a >> 4) & 7) + 1;
+        style.h = (a & 7) + 1;
+        break;
+      case "print-mode":
+        style.bold = Boolean(a & 0x08);
+        style.h = a & 0x10 ? 2 : 1;
+        style.w = a & 0x20 ? 2 : 1;
+        style.underline = Boolean(a & 0x80);
+        break;
+      case "feed-lines":
+        flushLine(false);
+        for (let i = 0; i < a; i++) lines.push(`<div class="line">&nbsp;</div>`);
+        break;
+      case "cut":
+      case "cut-partial":
+        flushLine(false);
+        // GS V m n feeds n lines before cutting; shown as blank lines (at most 5)
+        for (let i = 0; i < Math.min(a || 0, 5); i++) lines.push(`<div class="line">&nbsp;</div>`);
+        lines.push(`<div class="cut">${op.name === "cut" ? "✂ cut" : "✂ partial cut"}</div>`);
+        break;
+      case "drawer-pulse":
+        block(`<div class="note">[cash drawer]</div>`);
+        break;
+      case "buzzer":
+        block(`<div class="note">[buzzer]</div>`);
+        break;
+      default:
+        break;
+    }
+  }
+  flushLine(false);
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><style>
+  html, body { margin: 0; background: #fff; color: #000; }
+  body { font-family: "DejaVu Sans Mono", "Courier New", monospace; font-size: calc(100vw / ${columns * 0.6}); line-height: 1.2; }
+  .line { white-space: pre; overflow: hidden; }
+  .b { font-weight: bold; }
+  .u { text-decoration: underline; }
+  .r { background: #000; color: #fff; }
+  .sized { display: inline-block; vertical-align: bottom; white-space: pre; }
+  .sized > span { display: inline-block; transform-origin: left bottom; }
+  .block { margin: 0.2em 0; }
+  .raster { image-rendering: pixelated; display: inline-block; }
+  .barcode { display: inline-block; width: 60%; height: 3em;
+    background: repeating-linear-gradient(90deg, #000 0 2px, #fff 2px 4px, #000 4px 5px, #fff 5px 8px); }
+  .qr { display: inline-flex; width: 6em; height: 6em; border: 0.4em solid #000; align-items: center; justify-content: center;
+    background: repeating-conic-gradient(#000 0 25%, #fff 0 50%) 0 0 / 1em 1em; }
+  .qr span { background: #fff; padding: 0 0.2em; font-weight: bold; }
+  .hri { font-size: 0.8em; }
+  .cut { border-top: 1px dashed #000; font-size: 0.7em; color: #555; margin: 0.3em 0; }
+  .note { font-size: 0.8em; color: #555; }
+</style></head><body>
+${lines.join("\n")}
+</body></html>`;
+}
+
+module.exports = { escposToHtml };
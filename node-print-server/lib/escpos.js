@@ -0,0 +1,247 @@
+"use strict";
+
+/**
+ * ESC/POS receipt compiler.
+ *
+ * Turns a JSON document into printer bytes:
+ *  {
+ *    width?: "58mm" | "80mm",
+ *    codePage?: "cp437" | "cp850" | "cp858" | "wpc1252",   // default: options.codePage (the printer's), else Latin-1
+ *    blocks: [
+ *      { type: "text", text, align?: "left"|"center"|"right", bold?, underline?, size?: "normal"|"double"|"double-width"|"double-height" },
+ *      { type: "separator", char?: "-" },
+ *      { type: "row", left, right, bold?, size? },
+ *      { type: "feed", lines?: 1 },
+ *      { type: "qr", data, size?: 1-16, align?, errorLevel?: "L"|"M"|"Q"|"H" },
+ *      { type: "barcode", data, height?: 1-255, moduleWidth?: 2-6, hri?: true, align? },
+ *      { type: "cut", partial?: false, feed?: 3 }
+ *    ]
+ *  }
+ *
+ * Column counts assume Font A (12x24): 58mm -> 32, 80mm -> 48 characters.
+ * With a code page the receipt selects it (ESC t) and text is transcoded to it,
+ * transliterating what the page cannot show (see lib/codepages.js).
+ *
+ * Device commands, sent on their own (without ESC @) by the /printers/:name/* endpoints:
+ *  drawerPulse({ pin?: 2 | 5, onMs?: 100, offMs?: 200 })   ESC p, timings in 2ms steps
+ *  buzzer({ times?: 1-9, durationMs?: 100-900 })           ESC B, duration in 100ms steps
+ *  feedLines(lines)                                        ESC d
+ *  cutPaper({ partial?: false, feed?: 3 })                 GS V
+ */
+
+const codepages = require("./codepages");
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const COLUMNS_BY_WIDTH = {
+  "58mm": 32,
+  "80mm": 48,
+};
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+const QR_ERROR_LEVEL = { L: 48, M: 49, Q: 50, H: 51 };
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function columnsForWidth(width) {
+  const columns = COLUMNS_BY_WIDTH[String(width || "").trim().toLowerCase()];
+  if (!columns) {
+    throw invalid(`Unsupported receipt width "${width}" (expected ${Object.keys(COLUMNS_BY_WIDTH).join(" or ")})`);
+  }
+  return columns;
+}
+
+// Printers start in a single-byte code page; without one chosen, anything outside Latin-1 becomes "?"
+function encodeText(text, codePage) {
+  if (codePage) return codepages.encodeText(text, codePage).buffer;
+  return Buffer.from(String(text).replace(/[^\x00-\xff]/g, "?"), "latin1");
+}
+
+function integerOption(value, fallback, min, max, message) {
+  const n = value === undefined || value === null ? fallback : Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw invalid(message);
+  return n;
+}
+
+function booleanOption(value, fallback, message) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== "boolean") throw invalid(message);
+  return value;
+}
+
+function drawerPulse(options) {
+  const { pin, onMs, offMs } = options || {};
+  const pinNumber = integerOption(pin, 2, 2, 5, "drawer pin must be 2 or 5");
+  if (pinNumber !== 2 && pinNumber !== 5) throw invalid("drawer pin must be 2 or 5");
+  const on = integerOption(onMs, 100, 2, 510, "drawer onMs must be between 2 and 510");
+  const off = integerOption(offMs, 200, 2, 510, "drawer offMs must be between 2 and 510");
+  return Buffer.from([ESC, 0x70, pinNumber === 2 ? 0 : 1, Math.round(on / 2), Math.round(off / 2)]);
+}
+
+function buzzer(options) {
+  const { times, durationMs } = options || {};
+  const n = integerOption(times, 1, 1, 9, "buzzer times must be between 1 and 9");
+  const duration = integerOption(durationMs, 200, 100, 900, "buzzer durationMs must be between 100 and 900");
+  return Buffer.from([ESC, 0x42, n, Math.round(duration / 100)]);
+}
+
+function feedLines(lines) {
+  return Buffer.from([ESC, 0x64, integerOption(lines, 1, 0, 255, "feed lines must be between 0 and 255")]);
+}
+
+function cutPaper(options) {
+  const { partial, feed } = options || {};
+  const n = integerOption(feed, 3, 0, 255, "cut feed must be between 0 and 255");
+  return Buffer.from([GS, 0x56, booleanOption(partial, false, "cut partial must be true or false") ? 66 : 65, n]);
+}
+
+function sizeFlags(size) {
+  switch (size || "normal") {
+    case "normal":
+      return { n: 0x00, widthFactor: 1 };
+    case "double":
+      return { n: 0x11, widthFactor: 2 };
+    case "double-width":
+      return { n: 0x10, widthFactor: 2 };
+    case "double-height":
+      return { n: 0x01, widthFactor: 1 };
+    default:
+      throw invalid(`Unsupported text size "${size}"`);
+  }
+}
+
+function alignCode(align) {
+  const code = ALIGN[align || "left"];
+  if (code === undefined) throw invalid(`Unsupported align "${align}"`);
+  return code;
+}
+
+function fitRow(left, right, columns) {
+  const r = right.length > columns ? right.slice(0, columns) : right;
+  const room = columns - r.length - 1;
+  let l = left;
+  if (room <= 0) l = "";
+  else if (l.length > room) l = l.slice(0, room);
+  return l + " ".repeat(Math.max(columns - l.length - r.length, 0)) + r;
+}
+
+function qrCommands(block) {
+  if (block.data === undefined || block.data === null || block.data === "") throw invalid("qr block requires data");
+  const data = encodeText(block.data);
+  if (data.length > 7089) throw invalid("qr data is too long");
+  const size = block.size === undefined ? 6 : Number(block.size);
+  if (!Number.isInteger(size) || size < 1 || size > 16) throw invalid("qr size must be an integer between 1 and 16");
+  const level = QR_ERROR_LEVEL[String(block.errorLevel || "M").toUpperCase()];
+  if (!level) throw invalid(`Unsupported qr errorLevel "${block.errorLevel}"`);
+  const storeLen = data.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // model 2
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, size]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, level]),
+    Buffer.from([GS, 0x28, 0x6b, storeLen & 0xff, (storeLen >> 8) & 0xff, 0x31, 0x50, 0x30]),
+    data,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]), // print
+  ]);
+}
+
+function code128Commands(block) {
+  const text = block.data === undefined || block.data === null ? "" : String(block.data);
+  if (!text.length) throw invalid("barcode block requires data");
+  if (!/^[\x20-\x7e]+$/.test(text)) throw invalid("barcode data must be printable ASCII");
+  // Code set B; a literal "{" has to be doubled
+  const data = Buffer.from(`{B${text.replace(/\{/g, "{{")}`, "ascii");
+  if (data.length > 255) throw invalid("barcode data is too long");
+  const height = block.height === undefined ? 80 : Number(block.height);
+  if (!Number.isInteger(height) || height < 1 || height > 255) throw invalid("barcode height must be between 1 and 255");
+  const moduleWidth = block.moduleWidth === undefined ? 2 : Number(block.moduleWidth);
+  if (!Number.isInteger(moduleWidth) || moduleWidth < 2 || moduleWidth > 6) throw invalid("barcode moduleWidth must be between 2 and 6");
+  const hri = block.hri === false ? 0 : 2; // 2 = below the bars
+  return Buffer.concat([
+    Buffer.from([GS, 0x68, height]),
+    Buffer.from([GS, 0x77, moduleWidth]),
+    Buffer.from([GS, 0x48, hri]),
+    Buffer.from([GS, 0x6b, 73, data.length]),
+    data,
+    Buffer.from([0x0a]),
+  ]);
+}
+
+function compileReceipt(doc, options) {
+  if (!doc || typeof doc !== "object") throw invalid("Receipt document is required");
+  const blocks = doc.blocks;
+  if (!Array.isArray(blocks) || !blocks.length) throw invalid("blocks must be a non-empty array");
+
+  const columns = columnsForWidth(doc.width || (options && options.width));
+  const codePage = doc.codePage || (options && options.codePage) || null;
+  if (codePage && !codepages.resolveCodePage(codePage)) {
+    throw invalid(`Unsupported codePage "${codePage}" (expected ${codepages.codePageNames().join(", ")})`);
+  }
+  const out = [Buffer.from([ESC, 0x40])];
+  if (codePage) out.push(codepages.selectCodePage(codePage));
+  const push = (...bytes) => out.push(Buffer.from(bytes));
+  const resetStyle = () => push(ESC, 0x45, 0, ESC, 0x2d, 0, GS, 0x21, 0, ESC, 0x61, 0);
+
+  blocks.forEach((block, index) => {
+    if (!block || typeof block !== "object") throw invalid(`blocks[${index}] must be an object`);
+    try {
+      switch (block.type) {
+        case "text": {
+          if (block.text === undefined || block.text === null) throw invalid("text block requires text");
+          const { n } = sizeFlags(block.size);
+          push(ESC, 0x61, alignCode(block.align));
+          push(ESC, 0x45, block.bold ? 1 : 0);
+          push(ESC, 0x2d, block.underline ? 1 : 0);
+          push(GS, 0x21, n);
+          out.push(encodeText(block.text, codePage), Buffer.from([0x0a]));
+          resetStyle();
+          break;
+        }
+        case "separator": {
+          const ch = typeof block.char === "string" && block.char.length ? block.char[0] : "-";
+          out.push(encodeText(ch.repeat(columns), codePage), Buffer.from([0x0a]));
+          break;
+        }
+        case "row": {
+          const { n, widthFactor } = sizeFlags(block.size);
+          const rowColumns = Math.floor(columns / widthFactor);
+          push(ESC, 0x45, block.bold ? 1 : 0);
+          push(GS, 0x21, n);
+          const line = fitRow(String(block.left || ""), String(block.right || ""), rowColumns);
+          out.push(encodeText(line, codePage), Buffer.from([0x0a]));
+          resetStyle();
+          break;
+        }
+        case "feed":
+          out.push(feedLines(block.lines));
+          break;
+        case "qr":
+          push(ESC, 0x61, alignCode(block.align || "center"));
+          out.push(qrCommands(block));
+          resetStyle();
+          break;
+        case "barcode":
+          push(ESC, 0x61, alignCode(block.align || "center"));
+          out.push(code128Commands(block));
+          resetStyle();
+          break;
+        case "cut":
+          out.push(cutPaper(block));
+          break;
+        default:
+          throw invalid(`Unknown block type "${block.type}"`);
+      }
+    } catch (e) {
+      if (e.status === 400) e.message = `blocks[${index}]: ${e.message}`;
+      throw e;
+    }
+  });
+
+  return Buffer.concat(out);
+}
+
+module.exports = { compileReceipt, columnsForWidth, COLUMNS_BY_WIDTH, drawerPulse, buzzer, feedLines, cutPaper };
@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * Server-Sent Events hub for job and printer events.
+ *
+ * Each client gets a text/event-stream response; published events are written as
+ *   id: <seq>
+ *   event: <name>          e.g. job.completed, printer.offline
+ *   data: <json>
+ * Clients may pass a filter so a kiosk only hears about its own job or printer, and
+ * `allowsPrinter` limits a client to the printers it may see.
+ * A comment line is sent every `heartbeatMs` so proxies keep the connection open.
+ */
+
+function createEventStream({ logger, heartbeatMs = 15000 }) {
+  const clients = new Set();
+  let seq = 0;
+  let heartbeat = null;
+
+  function write(client, event, data) {
+    seq++;
+    client.res.write(`id: ${seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function matches(client, event, data) {
+    if (client.allowsPrinter && !client.allowsPrinter(data.printer, event)) return false;
+    return matchesFilter(client.filter, event, data);
+  }
+
+  function matchesFilter(filter, event, data) {
+    if (filter.topics && !filter.topics.some((t) => event === t || event.startsWith(`${t}.`))) return false;
+    if (filter.jobId && data.jobId !== filter.jobId) return false;
+    if (filter.printer && data.printer !== filter.printer) return false;
+    return true;
+  }
+
+  function publish(event, data) {
+    for (const client of clients) {
+      if (!matches(client, event, data)) continue;
+      try {
+        write(client, event, data);
+      } catch (e) {
+        logger.warn("EVENTS_WRITE_ERROR", { client: client.id, error: e.message });
+      }
+    }
+  }
+
+  // snapshot: [{ event, data }] sent to this client only, right after connecting
+  // allowsPrinter(printer, event) -> false hides that event about that printer
+  function attach(req, res, { id, filter, snapshot, allowsPrinter }) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: 3000\n\n`);
+    const client = { id, res, filter: filter || {}, allowsPrinter };
+    clients.add(client);
+    for (const entry of snapshot || []) {
+      if (matches(client, entry.event, entry.data)) write(client, entry.event, entry.data);
+    }
+    req.on("close", () => clients.delete(client));
+    return client;
+  }
+
+  function start() {
+    if (heartbeatMs > 0) {
+      heartbeat = setInterval(() => {
+        for (const client of clients) client.res.write(`: ping\n\n`);
+      }, heartbeatMs);
+      heartbeat.unref();
+    }
+  }
+
+  function close() {
+    if (heartbeat) clearInterval(heartbeat);
+    for (const client of clients) client.res.end();
+    clients.clear();
+  }
+
+  return { attach, publish, start, close, stats: () => ({ clients: clients.size }) };
+}
+
+module.exports = { createEventStream };
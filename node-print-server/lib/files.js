@@ -0,0 +1,16 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function writeTempFile(buffer, ext) {
+  const tempFilePath = path.join(
+    os.tmpdir(),
+    `print-${Date.now()}-${Math.random().toString(16).slice(2)}.${ext}`
+  );
+  fs.writeFileSync(tempFilePath, buffer);
+  return tempFilePath;
+}
+
+module.exports = { writeTempFile };
@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * Idempotency keys for print requests.
+ *
+ * A client sends `Idempotency-Key: <key>`; the first request with a key records
+ * the job(s) it queued, and a repeat within `windowMs` gets those jobs back
+ * instead of printing again. Records are per client and stored as JSON under
+ * `dir` (one file per key), so they survive a restart:
+ *  { scope, key, fingerprint, createdAt, jobIds, batchId?, items?, finished? }
+ *
+ * `fingerprint` is a hash of the request; the same key with a different request
+ * is a client bug and is reported instead of replayed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Printable ASCII, as recommended for the header
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function writeJsonAtomic(filePath, value) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, filePath);
+}
+
+function fingerprint(parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) hash.update(Buffer.isBuffer(part) ? part : String(part)).update("\0");
+  return hash.digest("hex");
+}
+
+function createIdempotencyStore({ dir, logger, windowMs }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const records = new Map();
+
+  const id = (scope, key) => crypto.createHash("sha256").update(`${scope}\0${key}`).digest("hex");
+  const recordPath = (recordId) => path.join(dir, `${recordId}.json`);
+  const expired = (record, nowMs) => nowMs - Date.parse(record.createdAt) >= windowMs;
+
+  function load() {
+    const nowMs = Date.now();
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        if (expired(record, nowMs)) {
+          fs.unlinkSync(path.join(dir, file));
+          continue;
+        }
+        records.set(file.replace(/\.json$/, ""), record);
+      } catch (e) {
+        logger.warn("IDEMPOTENCY_LOAD_ERROR", { file, error: e.message });
+      }
+    }
+    logger.info("IDEMPOTENCY_LOADED", { keys: records.size });
+  }
+
+  function forget(recordId) {
+    records.delete(recordId);
+    fs.rmSync(recordPath(recordId), { force: true });
+  }
+
+  // Live record for the key, or null
+  function lookup(scope, key) {
+    const recordId = id(scope, key);
+    const record = records.get(recordId);
+    if (!record) return null;
+    if (expired(record, Date.now())) {
+      forget(recordId);
+      return null;
+    }
+    return record;
+  }
+
+  function remember(scope, key, fields) {
+    const record = { scope, key, createdAt: new Date().toISOString(), jobIds: [], ...fields };
+    records.set(id(scope, key), record);
+    writeJsonAtomic(recordPath(id(scope, key)), record);
+    return record;
+  }
+
+  // Persists changes made to a record returned by remember()/lookup()
+  function update(record) {
+    writeJsonAtomic(recordPath(id(record.scope, record.key)), record);
+  }
+
+  function release(record) {
+    forget(id(record.scope, record.key));
+  }
+
+  function prune() {
+    const nowMs = Date.now();
+    let removed = 0;
+    for (const [recordId, record] of records) {
+      if (!expired(record, nowMs)) continue;
+      forget(recordId);
+      removed++;
+    }
+    if (removed) logger.info("IDEMPOTENCY_PRUNED", { removed });
+    return removed;
+  }
+
+  load();
+  return { lookup, remember, update, release, prune, windowMs };
+}
+
+module.exports = { createIdempotencyStore, fingerprint, KEY_PATTERN };
@@ -0,0 +1,377 @@
+"use strict";
+
+/**
+ * Persistent print job queue.
+ *
+ * Every print request becomes a job stored as JSON under `dir`:
+ *  - <id>.json          job record (status, attempts, timestamps, error, result)
+ *  - <id>.payload.json  normalized request payload, written once at enqueue
+ *
+ * Each printer (job.meta.printer) has its own worker: its jobs run one at a time in
+ * order, while a slow render or an unreachable printer does not hold up the jobs
+ * of other printers. Each job type registers a handler with two phases:
+ *  - render(payload, job)          -> artifact (e.g. { buffer } or a PDF buffer)
+ *  - send(artifact, payload, job)  -> result object stored on the job
+ *
+ * States: queued -> rendering -> sending -> done | failed
+ * job.timings holds { renderMs, sendMs } of the latest attempt; job.errorCode is the
+ * error's `code` (e.g. PRINTER_UNREACHABLE) or RENDER_FAILED / SEND_FAILED.
+ * Failed attempts go back to "queued" with a delay until maxAttempts is reached.
+ * cancel(id) fails a job that is waiting in "queued" (errorCode CANCELLED).
+ * Jobs that were rendering/sending when the process died are re-queued at boot.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { randomUUID } = require("crypto");
+
+const TERMINAL_STATES = new Set(["done", "failed"]);
+
+function writeJsonAtomic(filePath, value) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, filePath);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function toPublicJob(job) {
+  if (!job) return null;
+  const { payloadFile, ...rest } = job;
+  return rest;
+}
+
+function createJobQueue(options) {
+  const {
+    dir,
+    logger,
+    maxAttempts = 3,
+    retryDelayMs = 5000,
+  } = options;
+
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const emitter = new EventEmitter();
+  const handlers = new Map();
+  const jobs = new Map();
+  const busyPrinters = new Set();
+  const waiters = new Map(); // job id -> resolve functions of waitFor()
+  let timer = null;
+
+  const recordPath = (id) => path.join(dir, `${id}.json`);
+  const payloadPath = (id) => path.join(dir, `${id}.payload.json`);
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    writeJsonAtomic(recordPath(job.id), job);
+  }
+
+  function setStatus(job, status, extra) {
+    job.status = status;
+    if (extra) Object.assign(job, extra);
+    job.history.push({ status, at: new Date().toISOString() });
+    save(job);
+    emitter.emit("status", toPublicJob(job));
+    emitter.emit(status, toPublicJob(job));
+    if (TERMINAL_STATES.has(status)) resolveWaiters(job);
+  }
+
+  function resolveWaiters(job) {
+    const pending = waiters.get(job.id);
+    if (!pending) return;
+    waiters.delete(job.id);
+    for (const resolve of pending) resolve(toPublicJob(job));
+  }
+
+  function loadFromDisk() {
+    const files = fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json") && !f.endsWith(".payload.json"));
+    let recovered = 0;
+    for (const file of files) {
+      let job;
+      try {
+        job = readJson(path.join(dir, file));
+      } catch (e) {
+        logger.warn("JOB_LOAD_ERROR", { file, error: e.message });
+        continue;
+      }
+      if (!job || !job.id) continue;
+      if (job.status === "rendering" || job.status === "sending") {
+        job.status = "queued";
+        job.history.push({ status: "queued", at: new Date().toISOString(), recovered: true });
+        save(job);
+        recovered++;
+      }
+      jobs.set(job.id, job);
+    }
+    logger.info("JOBS_LOADED", { total: jobs.size, recovered });
+  }
+
+  function register(type, handler) {
+    if (!handler || typeof handler.render !== "function" || typeof handler.send !== "function") {
+      throw new Error(`Job handler for "${type}" must provide render() and send()`);
+    }
+    handlers.set(type, handler);
+  }
+
+  // options.maxAttempts overrides the queue default for this job (1 = never retried)
+  function enqueue(type, payload, meta, options) {
+    if (!handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    const id = randomUUID();
+    const createdAt = new Date().toISOString();
+    writeJsonAtomic(payloadPath(id), payload);
+    const job = {
+      id,
+      type,
+      status: "queued",
+      attempts: 0,
+      maxAttempts: (options && options.maxAttempts) || maxAttempts,
+      meta: meta || {},
+      createdAt,
+      updatedAt: createdAt,
+      nextAttemptAt: null,
+      error: null,
+      result: null,
+      payloadFile: path.basename(payloadPath(id)),
+      history: [{ status: "queued", at: createdAt }],
+    };
+    jobs.set(id, job);
+    save(job);
+    logger.info("JOB_QUEUED", { jobId: id, type, id: job.meta.requestId || null });
+    emitter.emit("status", toPublicJob(job));
+    emitter.emit("queued", toPublicJob(job));
+    schedule(0);
+    return toPublicJob(job);
+  }
+
+  function get(id) {
+    return toPublicJob(jobs.get(id));
+  }
+
+  // Newest first. filter: { status, type, printer, endpoint, client, from, to } (from/to are ISO dates)
+  // visible(job): optional, jobs it rejects are left out (e.g. other clients' printers)
+  function list(filter, { limit = 50, offset = 0, visible } = {}) {
+    const f = filter || {};
+    const matches = [...jobs.values()]
+      .filter((job) => {
+        if (f.status && job.status !== f.status) return false;
+        if (f.type && job.type !== f.type) return false;
+        if (f.printer && job.meta.printer !== f.printer) return false;
+        if (f.endpoint && job.meta.endpoint !== f.endpoint) return false;
+        if (f.client && job.meta.client !== f.client) return false;
+        if (f.from && job.createdAt < f.from) return false;
+        if (f.to && job.createdAt > f.to) return false;
+        if (visible && !visible(toPublicJob(job))) return false;
+        return true;
+      })
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+    return {
+      total: matches.length,
+      jobs: matches.slice(offset, offset + limit).map(toPublicJob),
+    };
+  }
+
+  // Fails a queued job so it is never run; null when the job is missing or already running/finished
+  function cancel(id, reason) {
+    const job = jobs.get(id);
+    if (!job || job.status !== "queued") return null;
+    setStatus(job, "failed", {
+      error: reason || "Cancelled",
+      errorCode: "CANCELLED",
+      nextAttemptAt: null,
+      finishedAt: new Date().toISOString(),
+    });
+    logger.info("JOB_CANCELLED", { jobId: id, id: job.meta.requestId || null, reason: reason || null });
+    return toPublicJob(job);
+  }
+
+  // Payload as originally enqueued, e.g. to run a job again
+  function payloadOf(id) {
+    const job = jobs.get(id);
+    return job ? loadPayload(job) : null;
+  }
+
+  // Removes finished jobs created before `cutoff` (ISO date); returns the removed records
+  function prune(cutoff) {
+    const removed = [];
+    for (const job of jobs.values()) {
+      if (!TERMINAL_STATES.has(job.status) || job.createdAt >= cutoff) continue;
+      jobs.delete(job.id);
+      fs.rmSync(recordPath(job.id), { force: true });
+      fs.rmSync(path.join(dir, job.payloadFile), { force: true });
+      removed.push(toPublicJob(job));
+    }
+    return removed;
+  }
+
+  function loadPayload(job) {
+    return readJson(path.join(dir, job.payloadFile));
+  }
+
+  const printerOf = (job) => job.meta.printer || "";
+
+  // Oldest due job of every idle printer, and the wait until the next retry is due
+  function readyJobs() {
+    const nowMs = Date.now();
+    const next = new Map();
+    let earliestWait = null;
+    for (const job of jobs.values()) {
+      if (job.status !== "queued" || busyPrinters.has(printerOf(job))) continue;
+      const dueAt = job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0;
+      if (dueAt > nowMs) {
+        if (earliestWait === null || dueAt - nowMs < earliestWait) earliestWait = dueAt - nowMs;
+        continue;
+      }
+      const current = next.get(printerOf(job));
+      if (!current || job.createdAt < current.createdAt) next.set(printerOf(job), job);
+    }
+    return { next, earliestWait };
+  }
+
+  function schedule(delayMs) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      try {
+        pump();
+      } catch (e) {
+        logger.error("JOB_WORKER_ERROR", { error: e.message, stack: e.stack });
+        schedule(retryDelayMs);
+      }
+    }, delayMs);
+  }
+
+  // Starts a worker for every printer that has a job due and none running
+  function pump() {
+    const { next, earliestWait } = readyJobs();
+    for (const [printer, job] of next) work(printer, job);
+    if (earliestWait !== null) schedule(earliestWait);
+  }
+
+  async function work(printer, job) {
+    busyPrinters.add(printer);
+    try {
+      await runJob(job);
+    } catch (e) {
+      // Only the bookkeeping can fail here (e.g. the jobs directory is not writable);
+      // the job is tried again later instead of being left half-run
+      logger.error("JOB_WORKER_ERROR", { jobId: job.id, printer, error: e.message, stack: e.stack });
+      if (!TERMINAL_STATES.has(job.status)) {
+        job.status = "queued";
+        job.nextAttemptAt = new Date(Date.now() + retryDelayMs).toISOString();
+      }
+    } finally {
+      busyPrinters.delete(printer);
+      schedule(0);
+    }
+  }
+
+  async function runJob(job) {
+    const handler = handlers.get(job.type);
+    job.attempts += 1;
+    job.error = null;
+    job.errorCode = null;
+    const timings = { renderMs: null, sendMs: null };
+    let phase = "render";
+    try {
+      if (!handler) throw Object.assign(new Error(`No handler for job type ${job.type}`), { retryable: false });
+      const payload = loadPayload(job);
+      setStatus(job, "rendering", { startedAt: job.startedAt || new Date().toISOString(), timings });
+      let phaseStarted = Date.now();
+      const artifact = await handler.render(payload, job);
+      timings.renderMs = Date.now() - phaseStarted;
+      phase = "send";
+      setStatus(job, "sending");
+      phaseStarted = Date.now();
+      const result = await handler.send(artifact, payload, job);
+      timings.sendMs = Date.now() - phaseStarted;
+      setStatus(job, "done", {
+        result: result || null,
+        nextAttemptAt: null,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (e) {
+      job.errorCode = e.code || (phase === "render" ? "RENDER_FAILED" : "SEND_FAILED");
+      const retryable = e.retryable !== false && job.attempts < job.maxAttempts;
+      const errorEvent = (handler && handler.errorEvent) || "JOB_ERROR";
+      logger.error(errorEvent, {
+        id: job.meta.requestId || null,
+        jobId: job.id,
+        attempt: job.attempts,
+        willRetry: retryable,
+        error: e.message,
+        stack: e.stack,
+      });
+      if (retryable) {
+        const delay = retryDelayMs * job.attempts;
+        setStatus(job, "queued", {
+          error: e.message,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+        });
+      } else {
+        setStatus(job, "failed", {
+          error: e.message,
+          nextAttemptAt: null,
+          finishedAt: new Date().toISOString(),
+        });
+      }
+    }
+  }
+
+  function waitFor(id, timeoutMs) {
+    const job = jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (TERMINAL_STATES.has(job.status)) return Promise.resolve(toPublicJob(job));
+    return new Promise((resolve) => {
+      const pending = waiters.get(id) || [];
+      const onDone = (update) => {
+        clearTimeout(timeout);
+        resolve(update);
+      };
+      const timeout = setTimeout(() => {
+        const left = (waiters.get(id) || []).filter((fn) => fn !== onDone);
+        if (left.length) waiters.set(id, left);
+        else waiters.delete(id);
+        resolve(toPublicJob(jobs.get(id)));
+      }, timeoutMs);
+      pending.push(onDone);
+      waiters.set(id, pending);
+    });
+  }
+
+  // Number of jobs per status
+  function counts() {
+    const out = { queued: 0, rendering: 0, sending: 0, done: 0, failed: 0 };
+    for (const job of jobs.values()) out[job.status] = (out[job.status] || 0) + 1;
+    return out;
+  }
+
+  function start() {
+    loadFromDisk();
+    schedule(0);
+  }
+
+  return {
+    register,
+    enqueue,
+    cancel,
+    get,
+    list,
+    counts,
+    payloadOf,
+    prune,
+    waitFor,
+    start,
+    on: emitter.on.bind(emitter),
+    off: emitter.off.bind(emitter),
+    isTerminal: (status) => TERMINAL_STATES.has(status),
+  };
+}
+
+module.exports = { createJobQueue, toPublicJob };
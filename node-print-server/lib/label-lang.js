@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * JSON label layout -> TSPL (TSC and clones) or ZPL (Zebra) commands.
+ *
+ * Layout (positions and sizes in mm, origin top-left):
+ *  {
+ *    gap?: 2,                       // TSPL gap between labels
+ *    elements: [
+ *      { type: "text", x, y, text, size?: 3, rotation?: 0|90|180|270, font?: "3" (TSPL only) },
+ *      { type: "barcode", x, y, data, height?: 8, narrow?: 2, hri?: true, rotation? },   // Code128
+ *      { type: "qr", x, y, data, cell?: 4, errorLevel?: "L"|"M"|"Q"|"H", rotation? },
+ *      { type: "line", x, y, width, height },        // filled bar, e.g. height 0.3 for a rule
+ *      { type: "box", x, y, width, height, thickness?: 0.3 }
+ *    ]
+ *  }
+ *
+ * Page size, dpi and copies come from the media profile; its orientation sets the
+ * print direction (portrait: DIRECTION 0 / ^PON, landscape: DIRECTION 1 / ^POI).
+ */
+
+const LANGUAGES = new Set(["tspl", "zpl"]);
+const ROTATIONS = { 0: "N", 90: "R", 180: "I", 270: "B" };
+const TSPL_DIRECTIONS = { portrait: 0, landscape: 1 };
+const ZPL_ORIENTATIONS = { portrait: "N", landscape: "I" };
+
+// TSPL built-in bitmap fonts and their character heights in dots (203dpi)
+const TSPL_FONT_HEIGHTS = { 1: 12, 2: 20, 3: 24, 4: 32, 5: 48 };
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function number(value, field, { min = 0, fallback } = {}) {
+  if (value === undefined || value === null) {
+    if (fallback !== undefined) return fallback;
+    throw invalid(`${field} is required`);
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min) throw invalid(`${field} must be a number >= ${min}`);
+  return n;
+}
+
+function rotation(value) {
+  const r = value === undefined ? 0 : Number(value);
+  if (!(r in ROTATIONS)) throw invalid("rotation must be 0, 90, 180 or 270");
+  return r;
+}
+
+function content(value, field) {
+  if (value === undefined || value === null || value === "") throw invalid(`${field} is required`);
+  return String(value).replace(/[\r\n]+/g, " ");
+}
+
+function pickTsplFont(heightDots) {
+  let best = { font: "3", mul: 1, diff: Infinity };
+  for (const [font, h] of Object.entries(TSPL_FONT_HEIGHTS)) {
+    for (let mul = 1; mul <= 10; mul++) {
+      const diff = Math.abs(h * mul - heightDots);
+      if (diff < best.diff || (diff === best.diff && mul < best.mul)) best = { font, mul, diff };
+    }
+  }
+  return best;
+}
+
+function tsplString(value) {
+  return `"${value.replace(/"/g, '\\["]')}"`;
+}
+
+// ^FH lets us hex-escape the characters ZPL treats as commands
+function zplField(value) {
+  return `^FH\\^FD${value.replace(/[\\^~]/g, (c) => "\\" + c.charCodeAt(0).toString(16).toUpperCase())}^FS`;
+}
+
+function eachElement(elements, fn) {
+  elements.forEach((el, index) => {
+    if (!el || typeof el !== "object") throw invalid(`layout.elements[${index}] must be an object`);
+    try {
+      fn(el);
+    } catch (e) {
+      if (e.status === 400) e.message = `layout.elements[${index}]: ${e.message}`;
+      throw e;
+    }
+  });
+}
+
+function compileTspl(elements, ctx) {
+  const { dots, media, gap } = ctx;
+  const lines = [
+    `SIZE ${media.width} mm, ${media.height} mm`,
+    `GAP ${gap} mm, 0 mm`,
+    `DIRECTION ${TSPL_DIRECTIONS[media.orientation]}`,
+    "CLS",
+  ];
+  eachElement(elements, (el) => {
+    const x = dots(el.x);
+    const y = dots(el.y);
+    switch (el.type) {
+      case "text": {
+        const text = content(el.text, "text");
+        let font = el.font !== undefined ? String(el.font) : null;
+        let mul = 1;
+        if (!font) ({ font, mul } = pickTsplFont(dots(number(el.size, "size", { fallback: 3 }))));
+        lines.push(`TEXT ${x},${y},"${font}",${rotation(el.rotation)},${mul},${mul},${tsplString(text)}`);
+        break;
+      }
+      case "barcode": {
+        const data = content(el.data, "data");
+        const height = dots(number(el.height, "height", { fallback: 8 }));
+        const narrow = number(el.narrow, "narrow", { min: 1, fallback: 2 });
+        const human = el.hri === false ? 0 : 1;
+        lines.push(`BARCODE ${x},${y},"128",${height},${human},${rotation(el.rotation)},${narrow},${narrow},${tsplString(data)}`);
+        break;
+      }
+      case "qr": {
+        const data = content(el.data, "data");
+        const cell = number(el.cell, "cell", { min: 1, fallback: 4 });
+        const level = String(el.errorLevel || "M").toUpperCase();
+        if (!"LMQH".includes(level) || level.length !== 1) throw invalid(`Unsupported errorLevel "${el.errorLevel}"`);
+        lines.push(`QRCODE ${x},${y},${level},${cell},A,${rotation(el.rotation)},${tsplString(data)}`);
+        break;
+      }
+      case "line":
+        lines.push(`BAR ${x},${y},${Math.max(dots(number(el.width, "width")), 1)},${Math.max(dots(number(el.height, "height")), 1)}`);
+        break;
+      case "box": {
+        const x2 = dots(number(el.x, "x") + number(el.width, "width"));
+        const y2 = dots(number(el.y, "y") + number(el.height, "height"));
+        const thickness = Math.max(dots(number(el.thickness, "thickness", { fallback: 0.3 })), 1);
+        lines.push(`BOX ${x},${y},${x2},${y2},${thickness}`);
+        break;
+      }
+      default:
+        throw invalid(`Unknown element type "${el.type}"`);
+    }
+  });
+  lines.push(`PRINT ${ctx.copies},1`);
+  // TSPL firmware reads text in a single-byte code page
+  return Buffer.from((lines.join("\r\n") + "\r\n").replace(/[^\x00-\xff]/g, "?"), "latin1");
+}
+
+function compileZpl(elements, ctx) {
+  const { dots, media } = ctx;
+  const lines = [
+    "^XA",
+    "^CI28",
+    `^PW${dots(media.width)}`,
+    `^LL${dots(media.height)}`,
+    `^PO${ZPL_ORIENTATIONS[media.orientation]}`,
+    "^LH0,0",
+  ];
+  eachElement(elements, (el) => {
+    const origin = `^FO${dots(el.x)},${dots(el.y)}`;
+    switch (el.type) {
+      case "text": {
+        const text = content(el.text, "text");
+        const h = dots(number(el.size, "size", { fallback: 3 }));
+        lines.push(`${origin}^A0${ROTATIONS[rotation(el.rotation)]},${h},${h}${zplField(text)}`);
+        break;
+      }
+      case "barcode": {
+        const data = content(el.data, "data");
+        const height = dots(number(el.height, "height", { fallback: 8 }));
+        const narrow = number(el.narrow, "narrow", { min: 1, fallback: 2 });
+        const hri = el.hri === false ? "N" : "Y";
+        lines.push(`${origin}^BY${narrow}^BC${ROTATIONS[rotation(el.rotation)]},${height},${hri},N,N${zplField(data)}`);
+        break;
+      }
+      case "qr": {
+        const data = content(el.data, "data");
+        const cell = Math.min(number(el.cell, "cell", { min: 1, fallback: 4 }), 10);
+        const level = String(el.errorLevel || "M").toUpperCase();
+        if (!"LMQH".includes(level) || level.length !== 1) throw invalid(`Unsupported errorLevel "${el.errorLevel}"`);
+        lines.push(`${origin}^BQ${ROTATIONS[rotation(el.rotation)]},2,${cell}${zplField(`${level}A,${data}`)}`);
+        break;
+      }
+      case "line": {
+        const w = Math.max(dots(number(el.width, "width")), 1);
+        const h = Math.max(dots(number(el.height, "height")), 1);
+        lines.push(`${origin}^GB${w},${h},${Math.min(w, h)}^FS`);
+        break;
+      }
+      case "box": {
+        const w = dots(number(el.width, "width"));
+        const h = dots(number(el.height, "height"));
+        const thickness = Math.max(dots(number(el.thickness, "thickness", { fallback: 0.3 })), 1);
+        lines.push(`${origin}^GB${w},${h},${thickness}^FS`);
+        break;
+      }
+      default:
+        throw invalid(`Unknown element type "${el.type}"`);
+    }
+  });
+  lines.push(`^PQ${ctx.copies}`, "^XZ");
+  return Buffer.from(lines.join("\n") + "\n", "utf8");
+}
+
+function compileLabel(layout, { language, media }) {
+  const lang = String(language || "").trim().toLowerCase();
+  if (!LANGUAGES.has(lang)) {
+    throw invalid(`Label language must be one of: ${[...LANGUAGES].join(", ")} (set body.language or the printer's language)`);
+  }
+  if (!layout || typeof layout !== "object") throw invalid("layout must be an object");
+  const elements = layout.elements;
+  if (!Array.isArray(elements) || !elements.length) throw invalid("layout.elements must be a non-empty array");
+
+  const ctx = {
+    media,
+    copies: media.copies,
+    gap: number(layout.gap, "layout.gap", { fallback: 2 }),
+    dots: (mm) => Math.round((number(mm, "x/y") / 25.4) * media.dpi),
+  };
+
+  return lang === "tspl" ? compileTspl(elements, ctx) : compileZpl(elements, ctx);
+}
+
+module.exports = { compileLabel };
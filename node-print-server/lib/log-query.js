@@ -0,0 +1,100 @@
+"use strict";
+
+/**
+ * Search over the winston JSON log files in LOG_DIR.
+ *
+ * Files are print-server-YYYY-MM-DD.log, plus size-rotated siblings (.log.1, ...)
+ * and their gzipped archives (.gz). File days are local time while from/to are
+ * UTC, so files from one day before `from` to one day after `to` are opened and
+ * the entry timestamps decide. Files are streamed line by line, keeping only the
+ * newest matches. Results are newest first; the scan stops once offset + limit
+ * entries matched, so `hasMore` is reported instead of a total.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+
+const FILE_REGEX = /^print-server-(\d{4}-\d{2}-\d{2})\.log(?:\.\d+)?(?:\.gz)?$/;
+
+function listLogFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((name) => ({ name, match: name.match(FILE_REGEX) }))
+    .filter((f) => f.match)
+    .map((f) => {
+      const full = path.join(dir, f.name);
+      return { name: f.name, path: full, day: f.match[1], mtimeMs: fs.statSync(full).mtimeMs };
+    })
+    .sort((a, b) => (a.day === b.day ? b.mtimeMs - a.mtimeMs : a.day < b.day ? 1 : -1));
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    return { level: "unknown", message: line, unparsed: true };
+  }
+}
+
+function shiftDay(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function matches(entry, f) {
+  if (f.levels && !f.levels.includes(entry.level)) return false;
+  if (f.events && !f.events.includes(entry.message)) return false;
+  if (f.requestId && entry.id !== f.requestId) return false;
+  if (f.jobId && entry.jobId !== f.jobId) return false;
+  if (f.from && !(entry.timestamp >= f.from)) return false;
+  if (f.to && !(entry.timestamp <= f.to)) return false;
+  if (f.text && !JSON.stringify(entry).toLowerCase().includes(f.text)) return false;
+  return true;
+}
+
+/**
+ * filter: { from, to (ISO), levels: [], events: [], requestId, jobId, text }
+ * -> { entries, hasMore, files }
+ */
+// The last `keep` matching entries of a file, oldest first
+async function lastMatches(file, f, keep) {
+  let input = fs.createReadStream(file.path);
+  if (file.name.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+  const kept = [];
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const entry = parseLine(line);
+    if (!matches(entry, f)) continue;
+    kept.push(entry);
+    if (kept.length > keep) kept.shift();
+  }
+  return kept;
+}
+
+async function queryLogs(dir, filter, { limit = 100, offset = 0 } = {}) {
+  const f = { ...filter, text: filter.text ? String(filter.text).toLowerCase() : null };
+  const fromDay = f.from ? shiftDay(f.from.slice(0, 10), -1) : null;
+  const toDay = f.to ? shiftDay(f.to.slice(0, 10), 1) : null;
+  const wanted = offset + limit;
+  const found = [];
+  const scanned = [];
+  for (const file of listLogFiles(dir)) {
+    if ((fromDay && file.day < fromDay) || (toDay && file.day > toDay)) continue;
+    scanned.push(file.name);
+    const entries = await lastMatches(file, f, wanted + 1 - found.length);
+    found.push(...entries.reverse());
+    if (found.length > wanted) break;
+  }
+  return {
+    entries: found.slice(offset, wanted),
+    hasMore: found.length > wanted,
+    files: scanned,
+  };
+}
+
+module.exports = { queryLogs, listLogFiles };
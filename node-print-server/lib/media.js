@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * Named media profiles for labels and paper.
+ *
+ * Profile fields:
+ *  width, height   "60mm" or a number in mm (height may be omitted for continuous rolls)
+ *  dpi             printer resolution, used to size the render viewport (default 203)
+ *  orientation     "portrait" | "landscape"
+ *  margin          "2mm" or { top, right, bottom, left }
+ *  copies          default copies per job
+ *  fit             "shrink" (scale down only) | "fit" (scale up or down) | "none" (clip)
+ *
+ * A profile is picked by body.media, else the printer's `media` setting, else
+ * `defaultLabelMedia` from config; any of the fields above in the request body
+ * override the profile.
+ */
+
+const BUILTIN_MEDIA = {
+  "label-60x22": {
+    width: "60mm",
+    height: "22mm",
+    dpi: 203,
+    orientation: "landscape",
+    margin: "0mm",
+    copies: 3,
+    fit: "shrink",
+  },
+};
+
+const DEFAULT_LABEL_MEDIA = "label-60x22";
+const FIT_POLICIES = new Set(["shrink", "fit", "none"]);
+const ORIENTATIONS = new Set(["portrait", "landscape"]);
+const OVERRIDE_FIELDS = ["width", "height", "dpi", "orientation", "margin", "copies", "fit"];
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Returns a length in millimetres
+function parseLength(value, field) {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) return value;
+  if (typeof value === "string") {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(mm|cm|in)?$/i);
+    if (match) {
+      const n = Number(match[1]);
+      const unit = (match[2] || "mm").toLowerCase();
+      if (unit === "cm") return n * 10;
+      if (unit === "in") return n * 25.4;
+      return n;
+    }
+  }
+  throw invalid(`${field} must be a length such as "60mm"`);
+}
+
+function parseMargin(value) {
+  if (value === undefined || value === null) return { top: 0, right: 0, bottom: 0, left: 0 };
+  if (typeof value === "object") {
+    const side = (key) => (value[key] === undefined ? 0 : parseLength(value[key], `margin.${key}`));
+    return { top: side("top"), right: side("right"), bottom: side("bottom"), left: side("left") };
+  }
+  const all = parseLength(value, "margin");
+  return { top: all, right: all, bottom: all, left: all };
+}
+
+function normalizeProfile(name, raw) {
+  const profile = {
+    name,
+    width: parseLength(raw.width, "width"),
+    height: raw.height === undefined || raw.height === null ? null : parseLength(raw.height, "height"),
+    dpi: raw.dpi === undefined ? 203 : Number(raw.dpi),
+    orientation: raw.orientation || "portrait",
+    margin: parseMargin(raw.margin),
+    copies: raw.copies === undefined ? 1 : Number(raw.copies),
+    fit: raw.fit || "shrink",
+  };
+  if (!Number.isInteger(profile.dpi) || profile.dpi < 72 || profile.dpi > 1200) {
+    throw invalid("dpi must be an integer between 72 and 1200");
+  }
+  if (!ORIENTATIONS.has(profile.orientation)) {
+    throw invalid(`orientation must be one of: ${[...ORIENTATIONS].join(", ")}`);
+  }
+  if (!Number.isInteger(profile.copies) || profile.copies < 1 || profile.copies > 99) {
+    throw invalid("copies must be an integer between 1 and 99");
+  }
+  if (!FIT_POLICIES.has(profile.fit)) {
+    throw invalid(`fit must be one of: ${[...FIT_POLICIES].join(", ")}`);
+  }
+  if (profile.width <= profile.margin.left + profile.margin.right) {
+    throw invalid("margins leave no printable width");
+  }
+  if (profile.height !== null && profile.height <= profile.margin.top + profile.margin.bottom) {
+    throw invalid("margins leave no printable height");
+  }
+  return profile;
+}
+
+function createMediaResolver(config) {
+  const profiles = { ...BUILTIN_MEDIA, ...(config.media || {}) };
+
+  function resolve({ name, printerSettings, overrides, fallback }) {
+    const chosen = name || (printerSettings && printerSettings.media) || fallback;
+    if (!chosen) return null;
+    const base = profiles[chosen];
+    if (!base) {
+      throw invalid(`Unknown media profile "${chosen}" (available: ${Object.keys(profiles).join(", ")})`);
+    }
+    const merged = { ...base };
+    if (overrides && typeof overrides === "object") {
+      for (const field of OVERRIDE_FIELDS) {
+        if (overrides[field] !== undefined) merged[field] = overrides[field];
+      }
+    }
+    return normalizeProfile(chosen, merged);
+  }
+
+  function resolveLabel(options) {
+    const profile = resolve({ ...options, fallback: config.defaultLabelMedia || DEFAULT_LABEL_MEDIA });
+    if (profile.height === null) {
+      throw invalid(`Media profile "${profile.name}" has no height and cannot be used for labels`);
+    }
+    return profile;
+  }
+
+  function list() {
+    return Object.keys(profiles).map((name) => ({ name, ...profiles[name] }));
+  }
+
+  return { resolve, resolveLabel, list };
+}
+
+module.exports = { createMediaResolver, parseLength, BUILTIN_MEDIA };
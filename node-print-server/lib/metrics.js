@@ -0,0 +1,129 @@
+"use strict";
+
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ *  const registry = createRegistry();
+ *  const jobs = registry.counter("print_jobs_total", "Finished jobs", ["type", "result"]);
+ *  jobs.inc({ type: "raw", result: "done" });
+ *  registry.gauge("print_queue_depth", "Jobs waiting", ["status"], () => [{ labels: { status: "queued" }, value: 3 }]);
+ *  res.type(CONTENT_TYPE).send(registry.render());
+ *
+ * Gauges are computed at scrape time by their collect() callback.
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => (labels && labels[name] !== undefined ? String(labels[name]) : "")));
+}
+
+function pickLabels(labelNames, labels) {
+  const out = {};
+  for (const name of labelNames) out[name] = labels && labels[name] !== undefined ? labels[name] : "";
+  return out;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: "counter",
+      lines: () => [...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`),
+    });
+    return {
+      inc(labels, by = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += by;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () => {
+        const out = [];
+        for (const s of series.values()) {
+          bounds.forEach((le, i) => {
+            out.push(`${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+          });
+          out.push(`${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+          out.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+          out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return out;
+      },
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        bounds.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  }
+
+  // collect() -> [{ labels, value }]
+  function gauge(name, help, labelNames, collect) {
+    metrics.push({
+      name,
+      help,
+      type: "gauge",
+      lines: () =>
+        collect().map((s) => `${name}${formatLabels(pickLabels(labelNames, s.labels))} ${formatValue(s.value)}`),
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const metric of metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      out.push(...metric.lines());
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry, CONTENT_TYPE };
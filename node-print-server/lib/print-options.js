@@ -0,0 +1,103 @@
+"use strict";
+
+/**
+ * Driver print options for PDF jobs (/print-pdf, /print-html, /print-template).
+ *
+ * Request:
+ *  printOptions: {
+ *    paper?: "A4" | "A5" | "A3" | "A6" | "letter" | "legal" | "tabloid" | "statement",
+ *    tray?: "Tray 2",                       // input bin name or number, as the driver calls it
+ *    pages?: "1-3,5" | "odd" | "even",
+ *    duplex?: "simplex" | "long" | "short", // long = flip on long edge (portrait books)
+ *    fit?: "noscale" | "fit" | "shrink",    // default noscale
+ *    monochrome?: true,
+ *    copies?: 1-99,
+ *    orientation?: "portrait" | "landscape"
+ *  }
+ *
+ * Normalized (what transports receive next to `printer`):
+ *  { scale, paper, tray, pages, duplex, monochrome, copies, orientation }
+ * with only the given fields set. Values are checked against fixed lists and
+ * patterns here because the Windows transport puts them on a command line.
+ */
+
+const PAPER_SIZES = ["A3", "A4", "A5", "A6", "letter", "legal", "tabloid", "statement"];
+const DUPLEX = ["simplex", "long", "short"];
+const FIT = ["noscale", "fit", "shrink"];
+const ORIENTATIONS = ["portrait", "landscape"];
+const FIELDS = ["paper", "tray", "pages", "duplex", "fit", "monochrome", "copies", "orientation"];
+
+const PAGE_RANGES = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+const TRAY = /^[A-Za-z0-9 _.-]{1,40}$/;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function oneOf(value, list, field) {
+  const match = list.find((item) => item.toLowerCase() === String(value).trim().toLowerCase());
+  if (!match) throw invalid(`printOptions.${field} must be one of: ${list.join(", ")}`);
+  return match;
+}
+
+function parsePages(value) {
+  const pages = String(value).replace(/\s+/g, "").toLowerCase();
+  if (pages === "odd" || pages === "even") return pages;
+  if (!PAGE_RANGES.test(pages)) {
+    throw invalid('printOptions.pages must be page ranges such as "1-3,5", or "odd" / "even"');
+  }
+  for (const range of pages.split(",")) {
+    const [from, to = from] = range.split("-").map(Number);
+    if (from < 1 || to < from) throw invalid(`printOptions.pages: invalid range "${range}"`);
+  }
+  return pages;
+}
+
+function parseBoolean(value, field) {
+  if (value === true || value === "true" || value === "1") return true;
+  if (value === false || value === "false" || value === "0") return false;
+  throw invalid(`printOptions.${field} must be true or false`);
+}
+
+// input: the request's printOptions (object, or a JSON string from a multipart form)
+function parsePrintOptions(input) {
+  if (input === undefined || input === null || input === "") return {};
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (e) {
+      throw invalid(`printOptions is not valid JSON: ${e.message}`);
+    }
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) throw invalid("printOptions must be an object");
+  const unknown = Object.keys(raw).filter((key) => !FIELDS.includes(key));
+  if (unknown.length) {
+    throw invalid(`Unknown printOptions field(s): ${unknown.join(", ")} (supported: ${FIELDS.join(", ")})`);
+  }
+
+  const options = {};
+  if (raw.paper !== undefined) options.paper = oneOf(raw.paper, PAPER_SIZES, "paper");
+  if (raw.tray !== undefined) {
+    const tray = String(raw.tray).trim();
+    if (!TRAY.test(tray)) throw invalid("printOptions.tray may only contain letters, digits, spaces, '.', '_' and '-'");
+    options.tray = tray;
+  }
+  if (raw.pages !== undefined) options.pages = parsePages(raw.pages);
+  if (raw.duplex !== undefined) options.duplex = oneOf(raw.duplex, DUPLEX, "duplex");
+  if (raw.fit !== undefined) options.scale = oneOf(raw.fit, FIT, "fit");
+  if (raw.monochrome !== undefined) options.monochrome = parseBoolean(raw.monochrome, "monochrome");
+  if (raw.copies !== undefined) {
+    const copies = Number(raw.copies);
+    if (!Number.isInteger(copies) || copies < 1 || copies > 99) {
+      throw invalid("printOptions.copies must be an integer between 1 and 99");
+    }
+    options.copies = copies;
+  }
+  if (raw.orientation !== undefined) options.orientation = oneOf(raw.orientation, ORIENTATIONS, "orientation");
+  return options;
+}
+
+module.exports = { parsePrintOptions, FIELDS };
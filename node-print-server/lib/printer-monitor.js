@@ -0,0 +1,76 @@
+"use strict";
+
+/**
+ * Periodic status poll of the configured printers.
+ *
+ * Every `intervalMs` the printers are checked with transport.getStatuses() (one
+ * spooler query for all Windows printers; tcp:// and USB printers are asked one
+ * after another); a "change" event (status, previous) is emitted whenever a
+ * printer's state or online flag differs from the previous poll. The first poll
+ * only records a baseline. Printers with a send in progress (transport.isSending)
+ * are skipped for that tick: a status query opens its own connection or device
+ * handle, which printers that accept only one at a time would refuse or mix up.
+ */
+
+const { EventEmitter } = require("events");
+
+function createPrinterMonitor({ transport, printers, logger, intervalMs = 30000, timeoutMs = 1000 }) {
+  const emitter = new EventEmitter();
+  const last = new Map();
+  let timer = null;
+  let polling = false;
+
+  function record(printer, status) {
+    const previous = last.get(printer);
+    last.set(printer, status);
+    if (previous && (previous.state !== status.state || previous.online !== status.online)) {
+      logger.info("PRINTER_STATE_CHANGED", { printer, from: previous.state, to: status.state });
+      emitter.emit("change", status, previous);
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const idle = printers.filter((printer) => !(transport.isSending && transport.isSending(printer)));
+      if (!idle.length) return;
+      let results;
+      try {
+        results = await transport.getStatuses(idle, { timeoutMs });
+      } catch (e) {
+        logger.warn("PRINTER_POLL_ERROR", { printers: idle, error: e.message });
+        return;
+      }
+      for (const { printer, status, error } of results) {
+        if (error) logger.warn("PRINTER_POLL_ERROR", { printer, error: error.message });
+        else record(printer, status);
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (!(intervalMs > 0) || !printers.length) return;
+    poll();
+    timer = setInterval(poll, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    on: emitter.on.bind(emitter),
+    // Last known status of every polled printer
+    snapshot: () => [...last.values()],
+    statusOf: (printer) => last.get(printer) || null,
+  };
+}
+
+module.exports = { createPrinterMonitor };
@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Printer status helpers.
+ *
+ * ESC/POS printers answer DLE EOT n (real-time status) with one byte each:
+ *  n=1 printer, n=2 offline cause, n=3 error cause, n=4 paper roll sensor.
+ * Driver printers report through the spooler (Win32_Printer / CUPS) instead.
+ *
+ * Every source is normalized to:
+ *  { printer, source, online, paperLow, paperOut, coverOpen, error, jobCount, state, raw, checkedAt }
+ * where unknown fields are null.
+ */
+
+const DLE_EOT_QUERIES = [1, 2, 3, 4];
+
+function emptyStatus(printer, source) {
+  return {
+    printer,
+    source,
+    online: null,
+    paperLow: null,
+    paperOut: null,
+    coverOpen: null,
+    error: null,
+    jobCount: null,
+    state: "unknown",
+    raw: null,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+function deriveState(status) {
+  if (status.online === false) return "offline";
+  if (status.paperOut) return "paper-out";
+  if (status.coverOpen) return "cover-open";
+  if (status.error) return "error";
+  if (status.paperLow) return "paper-low";
+  if (status.online === true) return "ready";
+  return "unknown";
+}
+
+// responses: { 1: byte, 2: byte, 3: byte, 4: byte } (missing entries = no answer)
+function parseDleEot(printer, responses) {
+  const status = emptyStatus(printer, "escpos");
+  const has = (n) => typeof responses[n] === "number";
+  if (!has(1) && !has(2) && !has(3) && !has(4)) {
+    status.online = false;
+    status.state = "no-response";
+    status.raw = {};
+    return status;
+  }
+  if (has(1)) status.online = (responses[1] & 0x08) === 0;
+  if (has(2)) {
+    status.coverOpen = (responses[2] & 0x04) !== 0;
+    status.paperOut = (responses[2] & 0x20) !== 0;
+    status.error = (responses[2] & 0x40) !== 0;
+  }
+  if (has(3)) {
+    status.error = Boolean(status.error) || (responses[3] & (0x08 | 0x20 | 0x40)) !== 0;
+  }
+  if (has(4)) {
+    status.paperLow = (responses[4] & 0x0c) !== 0;
+    status.paperOut = Boolean(status.paperOut) || (responses[4] & 0x60) !== 0;
+  }
+  status.raw = Object.fromEntries(
+    Object.entries(responses).map(([n, byte]) => [`dleEot${n}`, `0x${byte.toString(16).padStart(2, "0")}`])
+  );
+  status.state = deriveState(status);
+  return status;
+}
+
+/**
+ * Runs the four DLE EOT queries over a bidirectional channel.
+ * io.write(buffer) sends bytes, io.readByte(timeoutMs) resolves a byte or null.
+ */
+async function queryDleEot(printer, io, timeoutMs) {
+  const responses = {};
+  for (const n of DLE_EOT_QUERIES) {
+    await io.write(Buffer.from([0x10, 0x04, n]));
+    const byte = await io.readByte(timeoutMs);
+    if (byte === null) {
+      // A printer that ignores the first query will ignore the rest too
+      if (n === 1) break;
+      continue;
+    }
+    responses[n] = byte;
+  }
+  return parseDleEot(printer, responses);
+}
+
+// Win32_Printer PrinterStatus / DetectedErrorState codes
+const WIN_PRINTER_STATUS = { 1: "other", 2: "unknown", 3: "idle", 4: "printing", 5: "warmup", 6: "stopped", 7: "offline" };
+const WIN_ERROR_STATE = {
+  0: "unknown", 1: "other", 2: "no-error", 3: "low-paper", 4: "no-paper", 5: "low-toner", 6: "no-toner",
+  7: "door-open", 8: "jammed", 9: "offline", 10: "service-requested", 11: "output-bin-full",
+};
+
+function parseWin32Printer(printer, info) {
+  const status = emptyStatus(printer, "spooler");
+  const errorState = WIN_ERROR_STATE[info.DetectedErrorState] || "unknown";
+  const printerStatus = WIN_PRINTER_STATUS[info.PrinterStatus] || "unknown";
+  status.online = !(info.WorkOffline || printerStatus === "offline" || errorState === "offline");
+  status.paperLow = errorState === "low-paper";
+  status.paperOut = errorState === "no-paper";
+  status.coverOpen = errorState === "door-open";
+  status.error = ["jammed", "service-requested", "no-toner", "output-bin-full"].includes(errorState) || printerStatus === "stopped";
+  status.jobCount = typeof info.JobCount === "number" ? info.JobCount : null;
+  status.raw = { printerStatus, detectedErrorState: errorState, workOffline: Boolean(info.WorkOffline), name: info.Name };
+  status.state = deriveState(status);
+  return status;
+}
+
+// `lpstat -l -p <queue>` plus the number of lines from `lpstat -o <queue>`
+function parseCupsStatus(printer, lpstatOutput, jobCount) {
+  const status = emptyStatus(printer, "spooler");
+  const text = lpstatOutput || "";
+  const alertsMatch = text.match(/Alerts:\s*(.*)/);
+  const alerts = alertsMatch
+    ? alertsMatch[1].split(/[\s,]+/).map((a) => a.trim()).filter((a) => a && a !== "none")
+    : [];
+  const disabled = /\bdisabled\b/.test(text);
+  status.online = !disabled && !alerts.some((a) => a.startsWith("offline"));
+  status.paperLow = alerts.some((a) => a.startsWith("media-low"));
+  status.paperOut = alerts.some((a) => a.startsWith("media-empty") || a.startsWith("media-needed"));
+  status.coverOpen = alerts.some((a) => a.startsWith("cover-open") || a.startsWith("door-open"));
+  status.error = alerts.some((a) => a.endsWith("-error") && !a.startsWith("media-empty"));
+  status.jobCount = jobCount;
+  const stateMatch = text.match(/printer \S+ (is idle|now printing|disabled)/);
+  status.raw = { cupsState: stateMatch ? stateMatch[1] : null, alerts };
+  status.state = deriveState(status);
+  return status;
+}
+
+module.exports = { queryDleEot, parseDleEot, parseWin32Printer, parseCupsStatus, emptyStatus };
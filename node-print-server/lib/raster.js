@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * Bitmap -> ESC/POS raster (GS v 0) for printers without a driver.
+ *
+ * The screenshot is flattened onto white, converted to grayscale and reduced to
+ * 1 bit per dot with Floyd–Steinberg dithering (or a plain threshold), then sent
+ * in bands so long receipts stay within the printers' per-command limits.
+ */
+
+const { PNG } = require("pngjs");
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const BAND_HEIGHT = 256;
+
+// Printable dot width at 203dpi for the common roll widths
+const DOTS_BY_WIDTH = {
+  "58mm": 384,
+  "80mm": 576,
+};
+
+function dotsForWidth(width) {
+  return DOTS_BY_WIDTH[String(width || "").trim().toLowerCase()] || null;
+}
+
+function grayscale(png, width) {
+  const height = png.height;
+  const gray = new Float32Array(width * height).fill(255);
+  const copyWidth = Math.min(width, png.width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < copyWidth; x++) {
+      const i = (y * png.width + x) * 4;
+      const alpha = png.data[i + 3] / 255;
+      const lum = 0.299 * png.data[i] + 0.587 * png.data[i + 1] + 0.114 * png.data[i + 2];
+      gray[y * width + x] = 255 - alpha * (255 - lum);
+    }
+  }
+  return gray;
+}
+
+// Returns packed rows, 1 = black dot, MSB first
+function toMonochrome(pngBuffer, { width, dither = true, threshold = 128 }) {
+  const png = PNG.sync.read(pngBuffer);
+  const height = png.height;
+  const gray = grayscale(png, width);
+  const bytesPerRow = Math.ceil(width / 8);
+  const bits = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const old = gray[i];
+      const black = old < threshold;
+      if (black) bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      if (!dither) continue;
+      const err = old - (black ? 0 : 255);
+      if (x + 1 < width) gray[i + 1] += (err * 7) / 16;
+      if (y + 1 < height) {
+        if (x > 0) gray[i + width - 1] += (err * 3) / 16;
+        gray[i + width] += (err * 5) / 16;
+        if (x + 1 < width) gray[i + width + 1] += err / 16;
+      }
+    }
+  }
+  return { width, height, bytesPerRow, bits };
+}
+
+// Drops blank rows at the bottom so the printer does not feed empty paper
+function trimBottom(mono) {
+  let last = mono.height - 1;
+  for (; last >= 0; last--) {
+    const row = mono.bits.subarray(last * mono.bytesPerRow, (last + 1) * mono.bytesPerRow);
+    if (row.some((b) => b !== 0)) break;
+  }
+  const height = last + 1;
+  return { ...mono, height, bits: mono.bits.subarray(0, height * mono.bytesPerRow) };
+}
+
+function rasterCommands(mono) {
+  const out = [];
+  for (let top = 0; top < mono.height; top += BAND_HEIGHT) {
+    const rows = Math.min(BAND_HEIGHT, mono.height - top);
+    const xL = mono.bytesPerRow & 0xff;
+    const xH = (mono.bytesPerRow >> 8) & 0xff;
+    out.push(Buffer.from([GS, 0x76, 0x30, 0x00, xL, xH, rows & 0xff, (rows >> 8) & 0xff]));
+    out.push(mono.bits.subarray(top * mono.bytesPerRow, (top + rows) * mono.bytesPerRow));
+  }
+  return Buffer.concat(out);
+}
+
+// Full print stream: init, centred bitmap, feed and cut
+function buildRasterJob(pngBuffer, { width, dither, threshold, cut = true, feedLines = 3 }) {
+  const mono = trimBottom(toMonochrome(pngBuffer, { width, dither, threshold }));
+  const parts = [Buffer.from([ESC, 0x40, ESC, 0x61, 0x01])];
+  if (mono.height > 0) parts.push(rasterCommands(mono));
+  parts.push(Buffer.from([ESC, 0x61, 0x00]));
+  if (cut) parts.push(Buffer.from([GS, 0x56, 65, feedLines]));
+  else parts.push(Buffer.from([ESC, 0x64, feedLines]));
+  return Buffer.concat(parts);
+}
+
+// PNG of what the printer will actually see, for previews
+function monochromePng(mono) {
+  const png = new PNG({ width: mono.width, height: Math.max(mono.height, 1) });
+  png.data.fill(255);
+  for (let y = 0; y < mono.height; y++) {
+    for (let x = 0; x < mono.width; x++) {
+      if (mono.bits[y * mono.bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) {
+        const i = (y * mono.width + x) * 4;
+        png.data[i] = png.data[i + 1] = png.data[i + 2] = 0;
+      }
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+function previewRasterPng(pngBuffer, { width, dither, threshold }) {
+  return monochromePng(trimBottom(toMonochrome(pngBuffer, { width, dither, threshold })));
+}
+
+module.exports = { buildRasterJob, previewRasterPng, monochromePng, toMonochrome, dotsForWidth, DOTS_BY_WIDTH };
@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * Strict /print-raw payloads.
+ *
+ * Opt in by sending "format" (or ?strict=1):
+ *  {
+ *    printer: "EPSON TM-T83III Receipt",
+ *    format: "base64" | "hex" | "text" | "bytes",
+ *    data: "G0AbYQFIZWxsbwoKHVYA"        // string for base64/hex/text, array of 0-255 for bytes
+ *    charset?: "utf8" | "latin1" | "ascii" // text only, default utf8
+ *    codePage?: "cp437" | "cp850" | "cp858" | "wpc1252" // text only, instead of charset
+ *  }
+ *
+ * Nothing is guessed: base64 must be standard base64 (whitespace allowed), hex
+ * must be pairs of hex digits (whitespace allowed), and text must be encodable
+ * in the charset. Legacy payload fields next to "format" are rejected instead of
+ * being picked over "data".
+ *
+ * With a codePage (or the printer's default codePage when neither codePage nor
+ * charset is sent) text is prefixed with ESC t and transcoded to that page;
+ * characters the page lacks are transliterated rather than rejected.
+ *
+ * Errors carry status 400, a machine-readable code and the offending field:
+ *  PRINTER_REQUIRED, FORMAT_REQUIRED, UNSUPPORTED_FORMAT, DATA_REQUIRED,
+ *  INVALID_DATA_TYPE, INVALID_BASE64, INVALID_HEX, INVALID_BYTE,
+ *  UNSUPPORTED_CHARSET, UNSUPPORTED_CODE_PAGE, UNENCODABLE_TEXT, CONFLICTING_FIELDS
+ */
+
+const codepages = require("./codepages");
+
+const FORMATS = ["base64", "hex", "text", "bytes"];
+const CHARSETS = ["utf8", "latin1", "ascii"];
+const CHARSET_ALIASES = { "utf-8": "utf8", "iso-8859-1": "latin1", "us-ascii": "ascii" };
+const CHARSET_MAX = { latin1: 0xff, ascii: 0x7f };
+
+// Fields the legacy heuristics read a payload from; ambiguous next to format/data
+const LEGACY_PAYLOAD_FIELDS = [
+  "rawBase64",
+  "dataBase64",
+  "raw",
+  "rawData",
+  "payload",
+  "rawPayload",
+  "text",
+  "command",
+  "commands",
+  "lines",
+  "base64",
+  "base64Data",
+  "bytesBase64",
+  "content",
+  "value",
+  "rawHex",
+  "hex",
+  "hexData",
+  "dataHex",
+  "payloadHex",
+  "rawBytes",
+  "bytes",
+  "dataBytes",
+  "payloadBytes",
+  "buffer",
+  "rawBuffer",
+];
+
+function invalid(code, message, field) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = code;
+  if (field) err.field = field;
+  return err;
+}
+
+function isStrictRequest(body, query) {
+  const strict = query && query.strict;
+  return Boolean(
+    (body && typeof body === "object" && !Array.isArray(body) && (body.format !== undefined || body.strict === true)) ||
+      strict === "1" ||
+      strict === "true"
+  );
+}
+
+function decodeBase64(data) {
+  const compact = data.replace(/\s+/g, "");
+  if (!compact.length || compact.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+    throw invalid("INVALID_BASE64", "data is not valid base64 (standard alphabet, padded to a multiple of 4)", "data");
+  }
+  return Buffer.from(compact, "base64");
+}
+
+function decodeHex(data) {
+  const compact = data.replace(/\s+/g, "");
+  const bad = compact.search(/[^0-9a-f]/i);
+  if (bad !== -1) {
+    throw invalid("INVALID_HEX", `data has a non-hex character "${compact[bad]}" at position ${bad}`, "data");
+  }
+  if (compact.length % 2 !== 0) {
+    throw invalid("INVALID_HEX", "data must have an even number of hex digits", "data");
+  }
+  return Buffer.from(compact, "hex");
+}
+
+function decodeBytes(data) {
+  const bad = data.findIndex((v) => !Number.isInteger(v) || v < 0 || v > 255);
+  if (bad !== -1) {
+    throw invalid("INVALID_BYTE", `data[${bad}] must be an integer between 0 and 255`, `data[${bad}]`);
+  }
+  return Buffer.from(data);
+}
+
+function encodeText(data, charset) {
+  const max = CHARSET_MAX[charset];
+  if (max !== undefined) {
+    let offset = 0;
+    for (const ch of data) {
+      if (ch.codePointAt(0) > max) {
+        throw invalid("UNENCODABLE_TEXT", `Character "${ch}" at position ${offset} is not in ${charset}`, "data");
+      }
+      offset += ch.length;
+    }
+  }
+  return Buffer.from(data, charset);
+}
+
+function resolveCharset(value) {
+  if (value === undefined || value === null) return "utf8";
+  const name = String(value).trim().toLowerCase();
+  const charset = CHARSET_ALIASES[name] || name;
+  if (!CHARSETS.includes(charset)) {
+    throw invalid("UNSUPPORTED_CHARSET", `charset must be one of: ${CHARSETS.join(", ")}`, "charset");
+  }
+  return charset;
+}
+
+function resolveCodePage(value) {
+  const page = codepages.resolveCodePage(value);
+  if (!page) {
+    throw invalid("UNSUPPORTED_CODE_PAGE", `codePage must be one of: ${codepages.codePageNames().join(", ")}`, "codePage");
+  }
+  return page;
+}
+
+/**
+ * options.defaultCodePage: the printer's configured codePage, used for text without charset/codePage
+ * -> { printer, buffer, format, charset, codePage }; throws invalid() errors
+ */
+function parseStrictRaw(body, options) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw invalid("DATA_REQUIRED", "Body must be a JSON object");
+  }
+  const printer = typeof body.printer === "string" ? body.printer.trim() : "";
+  if (!printer) throw invalid("PRINTER_REQUIRED", "printer is required", "printer");
+
+  if (body.format === undefined) {
+    throw invalid("FORMAT_REQUIRED", `format is required in strict mode (${FORMATS.join(", ")})`, "format");
+  }
+  const format = String(body.format).trim().toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw invalid("UNSUPPORTED_FORMAT", `format must be one of: ${FORMATS.join(", ")}`, "format");
+  }
+  const conflicting = LEGACY_PAYLOAD_FIELDS.filter((field) => body[field] !== undefined);
+  if (conflicting.length) {
+    throw invalid("CONFLICTING_FIELDS", `Send the payload only in "data"; remove ${conflicting.join(", ")}`, conflicting[0]);
+  }
+  if (body.charset !== undefined && format !== "text") {
+    throw invalid("CONFLICTING_FIELDS", "charset only applies to format \"text\"", "charset");
+  }
+  if (body.codePage !== undefined && format !== "text") {
+    throw invalid("CONFLICTING_FIELDS", "codePage only applies to format \"text\"", "codePage");
+  }
+  if (body.codePage !== undefined && body.charset !== undefined) {
+    throw invalid("CONFLICTING_FIELDS", "Send either charset or codePage, not both", "codePage");
+  }
+
+  const data = body.data;
+  if (data === undefined || data === null || data.length === 0) {
+    throw invalid("DATA_REQUIRED", "data is required and must not be empty", "data");
+  }
+  if (format === "bytes" ? !Array.isArray(data) : typeof data !== "string") {
+    const expected = format === "bytes" ? "an array of byte values" : "a string";
+    throw invalid("INVALID_DATA_TYPE", `data must be ${expected} for format "${format}"`, "data");
+  }
+
+  const defaultCodePage = (options && options.defaultCodePage) || null;
+  let codePage = null;
+  if (format === "text" && body.codePage !== undefined) codePage = resolveCodePage(body.codePage);
+  else if (format === "text" && body.charset === undefined && defaultCodePage) codePage = resolveCodePage(defaultCodePage);
+  const charset = format === "text" && !codePage ? resolveCharset(body.charset) : null;
+  let buffer;
+  if (format === "base64") buffer = decodeBase64(data);
+  else if (format === "hex") buffer = decodeHex(data);
+  else if (format === "bytes") buffer = decodeBytes(data);
+  else if (codePage) buffer = Buffer.concat([codepages.selectCodePage(codePage), codepages.encodeText(data, codePage).buffer]);
+  else buffer = encodeText(data, charset);
+
+  if (!buffer.length) throw invalid("DATA_REQUIRED", "data decodes to zero bytes", "data");
+  return { printer, buffer, format, charset, codePage };
+}
+
+module.exports = { parseStrictRaw, isStrictRequest, FORMATS, CHARSETS };
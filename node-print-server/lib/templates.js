@@ -0,0 +1,211 @@
+"use strict";
+
+/**
+ * Server-side document templates (mustache-style subset).
+ *
+ * Templates live in TEMPLATES_DIR as <name>.html and are read on every request,
+ * so editing a file changes the next print without a restart.
+ *
+ * Syntax:
+ *  {{path.to.value}}      HTML-escaped value
+ *  {{{path}}}             raw value (trusted markup only)
+ *  {{#path}}...{{/path}}  section: repeated for arrays, entered for truthy values
+ *  {{^path}}...{{/path}}  inverted section: rendered when value is empty/falsy
+ *  {{.}}                  current item inside a section
+ *  {{! key: value }}      comment; leading ones are read as directives
+ *
+ * Directives: `print: html | label` (default html), `width: 80mm`.
+ * Files in <TEMPLATES_DIR>/assets are exposed as data URIs under `assets.<basename>`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const NAME_REGEX = /^[a-z0-9][a-z0-9_-]*$/i;
+const TAG_REGEX = /\{\{(\{[^}]*\}|[^}]*)\}\}/g;
+
+const MIME_BY_EXT = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+};
+
+function templateError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function lookup(stack, name) {
+  if (name === ".") return stack[stack.length - 1];
+  const parts = name.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    if (ctx !== null && typeof ctx === "object" && parts[0] in ctx) {
+      let value = ctx;
+      for (const part of parts) {
+        if (value === null || value === undefined) return undefined;
+        value = value[part];
+      }
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function isEmpty(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+// Parses the template into a tree of text/var/section nodes
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source))) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push({ type: "text", value: source.slice(last, match.index) });
+    last = TAG_REGEX.lastIndex;
+
+    const tag = match[1].trim();
+    if (tag.startsWith("{")) {
+      current.children.push({ type: "raw", name: tag.slice(1, -1).trim() });
+    } else if (tag.startsWith("!")) {
+      continue;
+    } else if (tag.startsWith("#") || tag.startsWith("^")) {
+      const node = { type: tag[0] === "#" ? "section" : "inverted", name: tag.slice(1).trim(), children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (tag.startsWith("/")) {
+      const name = tag.slice(1).trim();
+      if (stack.length === 1 || current.name !== name) {
+        throw templateError(`Unexpected closing tag {{/${name}}}`, 500);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: "var", name: tag });
+    }
+  }
+  if (stack.length > 1) {
+    throw templateError(`Unclosed section {{#${stack[stack.length - 1].name}}}`, 500);
+  }
+  if (last < source.length) root.children.push({ type: "text", value: source.slice(last) });
+  return root.children;
+}
+
+function renderNodes(nodes, stack) {
+  let out = "";
+  for (const node of nodes) {
+    switch (node.type) {
+      case "text":
+        out += node.value;
+        break;
+      case "var": {
+        const value = lookup(stack, node.name);
+        if (value !== undefined && value !== null) out += escapeHtml(value);
+        break;
+      }
+      case "raw": {
+        const value = lookup(stack, node.name);
+        if (value !== undefined && value !== null) out += String(value);
+        break;
+      }
+      case "section": {
+        const value = lookup(stack, node.name);
+        if (isEmpty(value)) break;
+        if (Array.isArray(value)) {
+          for (const item of value) out += renderNodes(node.children, stack.concat([item]));
+        } else if (typeof value === "object") {
+          out += renderNodes(node.children, stack.concat([value]));
+        } else {
+          out += renderNodes(node.children, stack);
+        }
+        break;
+      }
+      case "inverted":
+        if (isEmpty(lookup(stack, node.name))) out += renderNodes(node.children, stack);
+        break;
+    }
+  }
+  return out;
+}
+
+function readDirectives(source) {
+  const directives = {};
+  const leading = /^\s*\{\{!\s*([a-z][\w-]*)\s*:\s*([^}]*?)\s*\}\}/i;
+  let rest = source;
+  let match;
+  while ((match = leading.exec(rest))) {
+    directives[match[1].toLowerCase()] = match[2];
+    rest = rest.slice(match[0].length);
+  }
+  return directives;
+}
+
+function createTemplateStore({ dir }) {
+  function templatePath(name) {
+    if (typeof name !== "string" || !NAME_REGEX.test(name)) {
+      throw templateError(`Invalid template name "${name}"`, 400);
+    }
+    return path.join(dir, `${name}.html`);
+  }
+
+  function loadAssets() {
+    const assetsDir = path.join(dir, "assets");
+    const assets = {};
+    if (!fs.existsSync(assetsDir)) return assets;
+    for (const file of fs.readdirSync(assetsDir)) {
+      const ext = path.extname(file).toLowerCase();
+      const mime = MIME_BY_EXT[ext];
+      if (!mime) continue;
+      const data = fs.readFileSync(path.join(assetsDir, file)).toString("base64");
+      assets[path.basename(file, ext)] = `data:${mime};base64,${data}`;
+    }
+    return assets;
+  }
+
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".html"))
+      .map((f) => path.basename(f, ".html"))
+      .filter((name) => NAME_REGEX.test(name))
+      .sort();
+  }
+
+  // Returns { html, kind, width } for the named template rendered with data
+  function render(name, data) {
+    const file = templatePath(name);
+    if (!fs.existsSync(file)) {
+      throw templateError(`Template "${name}" not found`, 404);
+    }
+    const source = fs.readFileSync(file, "utf8");
+    const directives = readDirectives(source);
+    const kind = (directives.print || "html").toLowerCase();
+    if (kind !== "html" && kind !== "label") {
+      throw templateError(`Template "${name}" has unsupported print directive "${directives.print}"`, 500);
+    }
+    const context = { assets: loadAssets(), now: new Date().toISOString() };
+    const html = renderNodes(parse(source), [context, data || {}]).trim();
+    return { html, kind, width: directives.width || null };
+  }
+
+  return { list, render };
+}
+
+module.exports = { createTemplateStore, escapeHtml };
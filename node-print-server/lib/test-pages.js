@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Test pages for the admin dashboard. Each one states where it came from
+ * (printer, host, time) so a technician can match a printout to the request.
+ *
+ * info: { printer, host, time, backend }
+ */
+
+const { escapeHtml } = require("./templates");
+
+// ESC/POS receipt document for compileReceipt()
+function testReceipt(info) {
+  return {
+    blocks: [
+      { type: "text", text: "TEST PRINT", align: "center", bold: true, size: "double" },
+      { type: "separator" },
+      { type: "row", left: "Printer", right: info.printer },
+      { type: "row", left: "Server", right: info.host },
+      { type: "row", left: "Backend", right: info.backend },
+      { type: "row", left: "Time", right: info.time },
+      { type: "separator" },
+      { type: "text", text: "ABCDEFGHIJKLMNOPQRSTUVWXYZ 0123456789", align: "center" },
+      { type: "qr", data: `print-server test ${info.time}`, align: "center", size: 5 },
+      { type: "cut" },
+    ],
+  };
+}
+
+function testHtml(info) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><style>
+  body { font-family: sans-serif; margin: 0; padding: 4mm; }
+  h1 { font-size: 18pt; margin: 0 0 3mm; text-align: center; }
+  table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+  td { border-top: 1px solid #000; padding: 1mm 0; }
+  .ramp { display: flex; height: 8mm; margin-top: 3mm; }
+  .ramp div { flex: 1; }
+</style></head><body>
+  <h1>TEST PRINT</h1>
+  <table>
+    <tr><td>Printer</td><td>${escapeHtml(info.printer)}</td></tr>
+    <tr><td>Server</td><td>${escapeHtml(info.host)}</td></tr>
+    <tr><td>Time</td><td>${escapeHtml(info.time)}</td></tr>
+  </table>
+  <div class="ramp">${[0, 20, 40, 60, 80, 100].map((l) => `<div style="background:hsl(0,0%,${l}%)"></div>`).join("")}</div>
+</body></html>`;
+}
+
+function testLabelHtml(info) {
+  return `<div style="font-family:sans-serif;font-size:9pt;border:1px solid #000;padding:1mm">
+  <b>TEST LABEL</b><br>${escapeHtml(info.printer)}<br>${escapeHtml(info.time)}
+</div>`;
+}
+
+// JSON layout for compileLabel(), sized to the media profile
+function testLabelLayout(info, media) {
+  const w = media.width;
+  const h = media.height;
+  return {
+    elements: [
+      { type: "box", x: 1, y: 1, width: w - 2, height: h - 2 },
+      { type: "text", x: 3, y: 3, text: "TEST LABEL", size: Math.min(4, h / 5) },
+      { type: "text", x: 3, y: 3 + h / 4, text: info.printer, size: Math.min(2.5, h / 8) },
+      { type: "text", x: 3, y: 3 + h / 2, text: info.time, size: Math.min(2.5, h / 8) },
+    ],
+  };
+}
+
+module.exports = { testReceipt, testHtml, testLabelHtml, testLabelLayout };
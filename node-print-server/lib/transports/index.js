@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * Printer transports. Every transport exposes:
+ *  - name
+ *  - describeTarget(printer)         -> human readable target (share path, queue, device)
+ *  - sendRaw(buffer, printer)        -> { target }
+ *  - printPdf(filePath, options)     -> { target }   options: { printer, scale, orientation, copies,
+ *                                                               paper, tray, pages, duplex, monochrome } (lib/print-options.js)
+ *  - listPrinters()                  -> string[]
+ *  - getStatus(printer, { timeoutMs }) -> normalized status (see lib/printer-status.js)
+ *  - getStatuses(printers, { timeoutMs }) -> optional; [{ printer, status } | { printer, error }]
+ *                                       from one query (the Windows spooler)
+ *  - validateTarget(printer, kind)   -> optional; throws a 400 error for a target it would refuse
+ *                                       to print to (kind: "raw" | "pdf")
+ *
+ * createTransport() also adds isSending(printer): true while a send to that printer is running.
+ *
+ * PRINT_BACKEND=windows|linux|virtual picks one explicitly; default follows the OS.
+ * Targets written as tcp://host:port always go straight to the network printer,
+ * except with the virtual backend, which captures every job instead of printing.
+ * createPrinterRouter() wraps a transport to add logical names with failover.
+ */
+
+const { createWindowsTransport } = require("./windows");
+const { createLinuxTransport } = require("./linux");
+const { createTcpTransport, isTcpTarget } = require("./tcp");
+const { createVirtualTransport } = require("./virtual");
+const { createPrinterRouter } = require("./routing");
+
+const BACKENDS = {
+  windows: createWindowsTransport,
+  linux: createLinuxTransport,
+  virtual: createVirtualTransport,
+};
+
+function resolveBackendName(requested) {
+  const name = (requested || "auto").trim().toLowerCase();
+  if (name === "auto") return process.platform === "win32" ? "windows" : "linux";
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown PRINT_BACKEND "${requested}" (expected: ${Object.keys(BACKENDS).join(", ")}, auto)`);
+  }
+  return name;
+}
+
+// One query where the transport can answer for several printers at once,
+// otherwise one getStatus() per printer, one after another
+async function statusesFrom(transport, printers, options) {
+  if (transport.getStatuses) return transport.getStatuses(printers, options);
+  const results = [];
+  for (const printer of printers) {
+    try {
+      results.push({ printer, status: await transport.getStatus(printer, options) });
+    } catch (error) {
+      results.push({ printer, error });
+    }
+  }
+  return results;
+}
+
+// linux: { commandTimeoutMs } for the linux backend; virtual: { dir, renderPng, dots } for the virtual backend
+function createTransport({ backend, logger, tcp, linux, virtual }) {
+  const name = resolveBackendName(backend);
+  const local = BACKENDS[name]({ logger, ...linux, ...virtual });
+  const network = name === "virtual" ? local : createTcpTransport({ logger, ...tcp });
+  const pick = (printer) => (isTcpTarget(printer) ? network : local);
+
+  // Printers with a send in progress, so the status poller can leave them alone
+  const sending = new Map();
+  async function tracked(printer, send) {
+    sending.set(printer, (sending.get(printer) || 0) + 1);
+    try {
+      return await send();
+    } finally {
+      const left = sending.get(printer) - 1;
+      if (left > 0) sending.set(printer, left);
+      else sending.delete(printer);
+    }
+  }
+
+  return {
+    name: local.name,
+    describeTarget: (printer) => pick(printer).describeTarget(printer),
+    sendRaw: (buffer, printer) => tracked(printer, () => pick(printer).sendRaw(buffer, printer)),
+    printPdf: (filePath, options) => tracked(options.printer, () => pick(options.printer).printPdf(filePath, options)),
+    isSending: (printer) => sending.has(printer),
+    getStatus: (printer, options) => pick(printer).getStatus(printer, options),
+    async getStatuses(printers, options) {
+      const groups = new Map();
+      for (const printer of printers) groups.set(pick(printer), [...(groups.get(pick(printer)) || []), printer]);
+      const results = [];
+      for (const [target, group] of groups) results.push(...(await statusesFrom(target, group, options)));
+      return printers.map((printer) => results.find((r) => r.printer === printer));
+    },
+    validateTarget: (printer, kind) => {
+      const target = pick(printer);
+      if (target.validateTarget) target.validateTarget(printer, kind);
+    },
+    listPrinters: () => local.listPrinters(),
+    listCaptures: local.listCaptures,
+  };
+}
+
+module.exports = { createTransport, createPrinterRouter, isTcpTarget };
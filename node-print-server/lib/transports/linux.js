@@ -0,0 +1,245 @@
+"use strict";
+
+/**
+ * Linux transport (CUPS)
+ * - RAW: `lp -o raw` to a CUPS queue, or written straight to a device such as /dev/usb/lp0
+ * - PDF: `lp` to a CUPS queue (driver does the rasterizing), print options as lp -o options
+ * - Printers: CUPS destinations from `lpstat -e`, plus /dev/usb/lp* devices
+ * - Status: DLE EOT on USB devices (ESC/POS), `lpstat` alerts and job count for CUPS queues
+ *
+ * Only /dev/usb/lpN is opened directly; any other path is refused (400), so a
+ * printer name can never point the service at an arbitrary file or disk.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFile, spawn } = require("child_process");
+const { queryDleEot, parseCupsStatus } = require("../printer-status");
+
+const USB_DEVICE_DIR = "/dev/usb";
+const USB_DEVICE_PATTERN = /^\/dev\/usb\/lp\d+$/;
+
+// CUPS queue names cannot contain "/", so anything with one is meant as a path
+function isDevicePath(name) {
+  return name.includes("/");
+}
+
+// Resolved device path, or a non-retryable 400 for anything but /dev/usb/lpN
+function devicePath(name) {
+  const resolved = path.resolve(name);
+  if (!USB_DEVICE_PATTERN.test(resolved)) {
+    throw Object.assign(new Error(`Printer "${name}" is not a CUPS queue or a /dev/usb/lpN device`), {
+      status: 400,
+      code: "INVALID_PRINTER",
+      field: "printer",
+      retryable: false,
+    });
+  }
+  return resolved;
+}
+
+function printerError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+function commandTimeout(file, timeoutMs) {
+  return printerError(`${file} did not finish within ${timeoutMs}ms`, "PRINTER_COMMAND_TIMEOUT");
+}
+
+function unsupportedPdf(printer) {
+  return Object.assign(new Error(`Cannot print PDF to raw device ${printer}; use a CUPS queue`), {
+    status: 400,
+    code: "UNSUPPORTED_TARGET",
+    field: "printer",
+    retryable: false,
+  });
+}
+
+// timeoutMs kills the child (SIGTERM) and rejects with a retryable error
+function runCommand(file, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { maxBuffer: 10 * 1024 * 1024, timeout: timeoutMs }, (err, stdout, stderr) => {
+      if (err && err.killed) return reject(commandTimeout(file, timeoutMs));
+      if (err) return reject(new Error((stderr || "").trim() || err.message));
+      resolve(stdout);
+    });
+  });
+}
+
+// Pipes the buffer to `lp` on stdin so no temp file is needed
+function lpFromStdin(args, buffer, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("lp", args);
+    let stdout = "";
+    let stderr = "";
+    // Rejects at the deadline without waiting for "close", which a stuck grandchild holding the pipes could delay
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(commandTimeout("lp", timeoutMs));
+    }, timeoutMs);
+    child.stdout.on("data", (d) => (stdout += d));
+    child.stderr.on("data", (d) => (stderr += d));
+    child.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) return reject(new Error(stderr.trim() || `lp exited with code ${code}`));
+      resolve(stdout);
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(buffer);
+  });
+}
+
+function listUsbDevices() {
+  try {
+    return fs
+      .readdirSync(USB_DEVICE_DIR)
+      .filter((f) => /^lp\d+$/.test(f))
+      .map((f) => path.join(USB_DEVICE_DIR, f));
+  } catch (e) {
+    return [];
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// usblp supports non-blocking I/O: a printer that is out of paper or wedged returns
+// EAGAIN instead of parking a threadpool thread, and the write gives up at the deadline
+async function writeDevice(device, buffer, timeoutMs) {
+  const handle = await fs.promises.open(device, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+  try {
+    const deadline = Date.now() + timeoutMs;
+    let offset = 0;
+    while (offset < buffer.length) {
+      try {
+        const { bytesWritten } = await handle.write(buffer, offset, buffer.length - offset, null);
+        offset += bytesWritten;
+        if (bytesWritten > 0) continue;
+      } catch (e) {
+        if (e.code !== "EAGAIN") throw e;
+      }
+      if (Date.now() >= deadline) {
+        throw printerError(
+          `Printer ${device} stopped accepting data (${offset} of ${buffer.length} bytes sent within ${timeoutMs}ms)`,
+          "PRINTER_WRITE_TIMEOUT"
+        );
+      }
+      await delay(25);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+async function deviceStatus(printer, timeoutMs) {
+  const handle = await fs.promises.open(printer, fs.constants.O_RDWR | fs.constants.O_NONBLOCK);
+  try {
+    const io = {
+      write: (buffer) => handle.write(buffer),
+      readByte: async (ms) => {
+        const deadline = Date.now() + ms;
+        const one = Buffer.alloc(1);
+        while (Date.now() < deadline) {
+          try {
+            const { bytesRead } = await handle.read(one, 0, 1, null);
+            if (bytesRead === 1) return one[0];
+          } catch (e) {
+            if (e.code !== "EAGAIN") throw e;
+          }
+          await delay(25);
+        }
+        return null;
+      },
+    };
+    return await queryDleEot(printer, io, timeoutMs);
+  } finally {
+    await handle.close();
+  }
+}
+
+const LP_SIDES = { simplex: "one-sided", long: "two-sided-long-edge", short: "two-sided-short-edge" };
+const LP_SCALING = { noscale: "none", fit: "fit", shrink: "auto-fit" };
+
+// Normalized print options (lib/print-options.js) -> lp arguments
+function lpPrintArgs(options) {
+  const args = [];
+  if (options.copies && Number.isInteger(options.copies) && options.copies > 0) {
+    args.push("-n", String(options.copies));
+  }
+  if (options.orientation === "landscape") args.push("-o", "landscape");
+  if (LP_SCALING[options.scale]) args.push("-o", `print-scaling=${LP_SCALING[options.scale]}`);
+  if (options.pages === "odd" || options.pages === "even") args.push("-o", `page-set=${options.pages}`);
+  else if (options.pages) args.push("-o", `page-ranges=${options.pages}`);
+  if (LP_SIDES[options.duplex]) args.push("-o", `sides=${LP_SIDES[options.duplex]}`);
+  if (options.monochrome === true) args.push("-o", "print-color-mode=monochrome");
+  // CUPS takes size and source together: -o media=A4,Tray2
+  const media = [options.paper, options.tray].filter(Boolean);
+  if (media.length) args.push("-o", `media=${media.join(",")}`);
+  return args;
+}
+
+// commandTimeoutMs bounds each `lp` / `lpstat` run and each device write
+function createLinuxTransport({ logger, commandTimeoutMs = 30000 }) {
+  return {
+    name: "linux",
+    describeTarget: (printer) => printer,
+    // PDFs need a CUPS queue; refused before queueing rather than failing at send time
+    validateTarget(printer, kind) {
+      if (!isDevicePath(printer)) return;
+      devicePath(printer);
+      if (kind === "pdf") throw unsupportedPdf(printer);
+    },
+    async sendRaw(buffer, printer) {
+      if (isDevicePath(printer)) {
+        const device = devicePath(printer);
+        await writeDevice(device, buffer, commandTimeoutMs);
+        return { target: device };
+      }
+      await lpFromStdin(["-d", printer, "-o", "raw"], buffer, commandTimeoutMs);
+      return { target: printer };
+    },
+    async printPdf(filePath, options) {
+      if (isDevicePath(options.printer)) {
+        throw unsupportedPdf(options.printer);
+      }
+      const args = ["-d", options.printer, ...lpPrintArgs(options), filePath];
+      try {
+        await runCommand("lp", args, commandTimeoutMs);
+      } catch (e) {
+        logger.error("PRINT_PDF_CMD_FAILED", { cmd: `lp ${args.join(" ")}`, error: e.message });
+        throw e;
+      }
+      return { target: options.printer };
+    },
+    async getStatus(printer, { timeoutMs = 1000 } = {}) {
+      if (isDevicePath(printer)) return deviceStatus(devicePath(printer), timeoutMs);
+      const details = await runCommand("lpstat", ["-l", "-p", printer], commandTimeoutMs);
+      let jobCount = null;
+      try {
+        const jobs = await runCommand("lpstat", ["-o", printer], commandTimeoutMs);
+        jobCount = jobs.split(/\r?\n/).filter((line) => line.trim()).length;
+      } catch (e) {
+        logger.warn("PRINTER_STATUS_JOBS_ERROR", { printer, error: e.message });
+      }
+      return parseCupsStatus(printer, details, jobCount);
+    },
+    async listPrinters() {
+      let queues = [];
+      try {
+        const out = await runCommand("lpstat", ["-e"], commandTimeoutMs);
+        queues = out
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter(Boolean);
+      } catch (e) {
+        logger.warn("PRINTERS_LPSTAT_ERROR", { error: e.message });
+      }
+      return queues.concat(listUsbDevices());
+    },
+  };
+}
+
+module.exports = { createLinuxTransport, lpPrintArgs };
@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * Logical printer names with failover.
+ *
+ * config.json:
+ *  "printers": {
+ *    "loket-receipt": { "targets": ["tcp://10.0.0.21:9100", "EPSON TM-T83III Receipt"], "media": "struk-80" }
+ *  }
+ *
+ * A job for "loket-receipt" goes to the first target; if sending fails the next
+ * target is tried. Targets the status poller last saw offline are tried last
+ * rather than skipped, since the poll may be stale. Plain printer names pass
+ * straight through to the wrapped transport.
+ *
+ * sendRaw / printPdf resolve with the transport's result plus `printer`, the
+ * physical target that printed.
+ */
+
+function createPrinterRouter({ transport, aliases, logger, lastStatus }) {
+  const reportedOffline = (target) => {
+    const status = lastStatus ? lastStatus(target) : null;
+    return Boolean(status && status.online === false);
+  };
+
+  // Priority order, with targets reported offline moved to the back
+  function orderTargets(targets) {
+    return [...targets.filter((t) => !reportedOffline(t)), ...targets.filter(reportedOffline)];
+  }
+
+  async function route(printer, action, send) {
+    const targets = aliases[printer];
+    if (!targets) return { ...(await send(printer)), printer };
+    const failures = [];
+    for (const target of orderTargets(targets)) {
+      try {
+        const result = await send(target);
+        logger.info("PRINTER_ROUTED", {
+          alias: printer,
+          action,
+          target,
+          failedOver: failures.map((f) => f.target),
+        });
+        return { ...result, printer: target };
+      } catch (e) {
+        failures.push({ target, error: e.message });
+        logger.warn("PRINTER_FAILOVER", { alias: printer, action, target, error: e.message });
+      }
+    }
+    throw new Error(`All targets of ${printer} failed: ${failures.map((f) => `${f.target} (${f.error})`).join("; ")}`);
+  }
+
+  // An alias reports its first online target, plus a short summary of every target
+  async function getStatus(printer, options) {
+    const targets = aliases[printer];
+    if (!targets) return transport.getStatus(printer, options);
+    const statuses = [];
+    for (const target of targets) {
+      try {
+        statuses.push(await transport.getStatus(target, options));
+      } catch (e) {
+        statuses.push({ printer: target, online: null, state: "unknown", raw: { error: e.message } });
+      }
+    }
+    const active = statuses.find((s) => s.online === true) || statuses[0];
+    return {
+      ...active,
+      printer,
+      target: active.printer,
+      targets: statuses.map((s) => ({ printer: s.printer, online: s.online, state: s.state })),
+    };
+  }
+
+  return {
+    name: transport.name,
+    aliases: Object.keys(aliases),
+    describeTarget: (printer) =>
+      aliases[printer] ? aliases[printer].map((t) => transport.describeTarget(t)).join(" -> ") : transport.describeTarget(printer),
+    sendRaw: (buffer, printer) => route(printer, "raw", (target) => transport.sendRaw(buffer, target)),
+    printPdf: (filePath, options) =>
+      route(options.printer, "pdf", (target) => transport.printPdf(filePath, { ...options, printer: target })),
+    getStatus,
+    // Alias targets come from the site config; only names given by clients are checked
+    validateTarget: (printer, kind) => {
+      if (!aliases[printer]) transport.validateTarget(printer, kind);
+    },
+    listPrinters: () => transport.listPrinters(),
+  };
+}
+
+module.exports = { createPrinterRouter };
@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ * Direct network printing (RAW / JetDirect, usually port 9100).
+ * Target format: tcp://host[:port]
+ */
+
+const net = require("net");
+const { queryDleEot, emptyStatus } = require("../printer-status");
+
+const TCP_PREFIX = "tcp://";
+const DEFAULT_PORT = 9100;
+
+function isTcpTarget(printer) {
+  return typeof printer === "string" && printer.toLowerCase().startsWith(TCP_PREFIX);
+}
+
+function parseTcpTarget(printer) {
+  let url;
+  try {
+    url = new URL(printer);
+  } catch (e) {
+    throw new Error(`Invalid network printer target "${printer}" (expected tcp://host:port)`);
+  }
+  if (!url.hostname) {
+    throw new Error(`Invalid network printer target "${printer}" (missing host)`);
+  }
+  const port = url.port ? Number(url.port) : DEFAULT_PORT;
+  return { host: url.hostname.replace(/^\[|\]$/g, ""), port };
+}
+
+function printerError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function unsupportedPdf(printer) {
+  return Object.assign(
+    new Error(`PDF printing is not supported on network target ${printer}; send RAW data or use a driver queue`),
+    { status: 400, code: "UNSUPPORTED_TARGET", field: "printer", retryable: false }
+  );
+}
+
+function createTcpTransport({ logger, connectTimeoutMs = 3000, writeTimeoutMs = 10000 }) {
+  function sendRaw(buffer, printer) {
+    const { host, port } = parseTcpTarget(printer);
+    const target = `tcp://${host}:${port}`;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let connected = false;
+      const socket = net.createConnection({ host, port });
+
+      const fail = (err) => {
+        socket.destroy();
+        if (settled) return;
+        settled = true;
+        reject(err);
+      };
+
+      const connectTimer = setTimeout(() => {
+        fail(printerError(`Printer ${target} did not answer within ${connectTimeoutMs}ms`, "PRINTER_CONNECT_TIMEOUT"));
+      }, connectTimeoutMs);
+
+      socket.on("connect", () => {
+        connected = true;
+        clearTimeout(connectTimer);
+        socket.setTimeout(writeTimeoutMs);
+        socket.end(buffer);
+      });
+
+      socket.on("finish", () => {
+        if (settled) return;
+        settled = true;
+        logger.debug("TCP_SENT", { target, bytes: buffer.length });
+        resolve({ target });
+      });
+
+      socket.on("timeout", () => {
+        fail(printerError(`Printer ${target} stopped accepting data (write timeout ${writeTimeoutMs}ms)`, "PRINTER_WRITE_TIMEOUT"));
+      });
+
+      socket.on("error", (e) => {
+        clearTimeout(connectTimer);
+        const message = connected
+          ? `Connection to printer ${target} failed while sending: ${e.message}`
+          : `Printer ${target} is unreachable: ${e.message}`;
+        fail(printerError(message, connected ? "PRINTER_WRITE_FAILED" : "PRINTER_UNREACHABLE"));
+      });
+
+      // Data is flushed at "finish"; drop the socket once the printer closes or goes idle
+      socket.on("close", () => clearTimeout(connectTimer));
+    });
+  }
+
+  // DLE EOT real-time status over the same socket the printer prints from
+  function getStatus(printer, { timeoutMs = 1000 } = {}) {
+    const { host, port } = parseTcpTarget(printer);
+    const target = `tcp://${host}:${port}`;
+    return new Promise((resolve) => {
+      const socket = net.createConnection({ host, port });
+      const received = [];
+      let waiting = null;
+      let done = false;
+
+      const finish = (status) => {
+        if (done) return;
+        done = true;
+        clearTimeout(connectTimer);
+        socket.destroy();
+        resolve(status);
+      };
+      const unreachable = (message) => {
+        const status = emptyStatus(target, "escpos");
+        status.online = false;
+        status.state = "unreachable";
+        status.raw = { error: message };
+        finish(status);
+      };
+
+      const connectTimer = setTimeout(() => unreachable(`no answer within ${connectTimeoutMs}ms`), connectTimeoutMs);
+
+      socket.on("data", (chunk) => {
+        received.push(...chunk);
+        if (waiting) waiting();
+      });
+      socket.on("error", (e) => unreachable(e.message));
+      socket.on("connect", () => {
+        clearTimeout(connectTimer);
+        const io = {
+          write: (buffer) => new Promise((res) => socket.write(buffer, () => res())),
+          readByte: (ms) =>
+            new Promise((res) => {
+              if (received.length) return res(received.shift());
+              const timer = setTimeout(() => {
+                waiting = null;
+                res(null);
+              }, ms);
+              waiting = () => {
+                clearTimeout(timer);
+                waiting = null;
+                res(received.shift());
+              };
+            }),
+        };
+        queryDleEot(target, io, timeoutMs)
+          .then(finish)
+          .catch((e) => unreachable(e.message));
+      });
+    });
+  }
+
+  return {
+    name: "tcp",
+    describeTarget: (printer) => {
+      const { host, port } = parseTcpTarget(printer);
+      return `tcp://${host}:${port}`;
+    },
+    sendRaw,
+    getStatus,
+    // PDFs need a driver; refused before queueing rather than failing every attempt
+    validateTarget(printer, kind) {
+      if (kind === "pdf") throw unsupportedPdf(printer);
+    },
+    async printPdf(filePath, options) {
+      throw unsupportedPdf(options.printer);
+    },
+  };
+}
+
+module.exports = { createTcpTransport, isTcpTarget, parseTcpTarget };
@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * Virtual transport (PRINT_BACKEND=virtual): nothing is printed, every job is captured.
+ *
+ * For each job, under CAPTURE_DIR:
+ *  <id>.bin | <id>.pdf   exact bytes / document that would have been printed
+ *  <id>.json             metadata (printer, kind, language, print options, files)
+ *  <id>.txt              RAW only: annotated ESC/POS view, or the TSPL/ZPL text as-is
+ *  <id>.png              ESC/POS only: mock-up of the receipt, when a renderer is available
+ *
+ * <id> is <timestamp>-<seq>-<printer>, so captures sort in print order.
+ * tcp:// targets are captured too, so a whole site config can run without hardware.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { decodeEscpos, formatEscpos } = require("../escpos-decode");
+const { escposToHtml } = require("../escpos-render");
+const { emptyStatus } = require("../printer-status");
+
+// TSPL starts with SIZE/GAP/CLS..., ZPL with ^XA; anything else is treated as ESC/POS
+function detectLanguage(buffer) {
+  const head = buffer.subarray(0, 64).toString("latin1").trimStart();
+  if (/^\^XA/i.test(head) || /^~/.test(head)) return "zpl";
+  if (/^(SIZE|GAP|CLS|DIRECTION|SPEED|DENSITY)\b/i.test(head)) return "tspl";
+  return "escpos";
+}
+
+function slug(printer) {
+  return String(printer || "printer").replace(/[^a-z0-9._-]+/gi, "_").replace(/^_+|_+$/g, "").slice(0, 60) || "printer";
+}
+
+/**
+ * renderPng(html, dots) -> PNG buffer; optional (e.g. the shared Puppeteer browser)
+ * dots: receipt width used for the PNG mock-up (576 = 80mm)
+ */
+function createVirtualTransport({ logger, dir, renderPng, dots = 576 }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  let seq = 0;
+
+  function newId(printer) {
+    seq = (seq + 1) % 10000;
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").replace(/\..*/, "");
+    return `${stamp}-${String(seq).padStart(4, "0")}-${slug(printer)}`;
+  }
+
+  function writeMeta(id, meta) {
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ id, capturedAt: new Date().toISOString(), ...meta }, null, 2));
+  }
+
+  async function captureRaw(buffer, printer) {
+    const id = newId(printer);
+    const language = detectLanguage(buffer);
+    const files = [`${id}.bin`, `${id}.txt`];
+    fs.writeFileSync(path.join(dir, `${id}.bin`), buffer);
+    const ops = language === "escpos" ? decodeEscpos(buffer) : null;
+    fs.writeFileSync(path.join(dir, `${id}.txt`), ops ? formatEscpos(ops) : buffer.toString("latin1"));
+    if (ops && renderPng) {
+      try {
+        fs.writeFileSync(path.join(dir, `${id}.png`), await renderPng(escposToHtml(ops, { dots }), dots));
+        files.push(`${id}.png`);
+      } catch (e) {
+        logger.warn("CAPTURE_PNG_ERROR", { id, error: e.message });
+      }
+    }
+    writeMeta(id, { printer, kind: "raw", language, bytes: buffer.length, files });
+    logger.info("CAPTURE_RAW", { id, printer, language, bytes: buffer.length });
+    return { target: path.join(dir, `${id}.bin`), captureId: id };
+  }
+
+  async function capturePdf(filePath, options) {
+    const { printer, ...printOptions } = options;
+    const id = newId(printer);
+    fs.copyFileSync(filePath, path.join(dir, `${id}.pdf`));
+    writeMeta(id, { printer, kind: "pdf", bytes: fs.statSync(filePath).size, options: printOptions, files: [`${id}.pdf`] });
+    logger.info("CAPTURE_PDF", { id, printer });
+    return { target: path.join(dir, `${id}.pdf`), captureId: id };
+  }
+
+  // Newest first: [{ id, printer, kind, language, bytes, files, capturedAt }]
+  function listCaptures(limit = 50) {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .sort()
+      .reverse()
+      .slice(0, limit)
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+        } catch (e) {
+          return { id: f.replace(/\.json$/, ""), error: e.message };
+        }
+      });
+  }
+
+  return {
+    name: "virtual",
+    dir,
+    describeTarget: (printer) => `capture:${printer}`,
+    sendRaw: (buffer, printer) => captureRaw(buffer, printer),
+    printPdf: (filePath, options) => capturePdf(filePath, options),
+    // A capture directory is always "ready"
+    getStatus: async (printer) => ({
+      ...emptyStatus(printer, "virtual"),
+      online: true,
+      paperLow: false,
+      paperOut: false,
+      coverOpen: false,
+      error: false,
+      jobCount: 0,
+      state: "ready",
+    }),
+    listPrinters: async () => [],
+    listCaptures,
+  };
+}
+
+module.exports = { createVirtualTransport, detectLanguage };
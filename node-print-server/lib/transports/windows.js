@@ -0,0 +1,253 @@
+"use strict";
+
+/**
+ * Windows transport (original behaviour)
+ * - RAW: `copy /b` to a local or UNC printer share
+ * - PDF: bundled SumatraPDF from pdf-to-printer, print options as -print-settings
+ * - Printers: pdf-to-printer getPrinters(), Win32_Printer fallback
+ * - Status: Win32_Printer state and queued job count from the spooler, all printers in one query
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { exec, execFile } = require("child_process");
+const { getPrinters } = require("pdf-to-printer");
+const { writeTempFile } = require("../files");
+const { parseWin32Printer } = require("../printer-status");
+
+function buildSharePath(name) {
+  // If already UNC path (\\host\share), return as-is. Otherwise assume local share name.
+  if (name.startsWith("\\\\")) return name;
+  return `\\\\127.0.0.1\\${name}`;
+}
+
+// `copy` is a cmd.exe builtin, so the share path ends up in a command line; names that
+// could break out of the quotes or expand variables are refused (400) up front
+const UNSAFE_PRINTER_NAME = /["%&|<>^\x00-\x1f]/;
+
+function checkPrinterName(name) {
+  if (UNSAFE_PRINTER_NAME.test(name)) {
+    throw Object.assign(new Error(`Printer name "${name}" contains characters that are not allowed (" % & | < > ^)`), {
+      status: 400,
+      code: "INVALID_PRINTER",
+      field: "printer",
+      retryable: false,
+    });
+  }
+  return name;
+}
+
+function copyBinaryToPrinter(tempFilePath, sharePath) {
+  // Uses Windows copy binary mode to push data directly to printer share (RAW)
+  return new Promise((resolve, reject) => {
+    const cmd = `copy /b "${tempFilePath}" "${sharePath}"`;
+    exec(cmd, { windowsHide: true }, (err, stdout, stderr) => {
+      // Always clean up the temp file
+      fs.unlink(tempFilePath, () => {});
+      if (err) return reject(new Error(stderr || err.message));
+      resolve(stdout);
+    });
+  });
+}
+
+// The script goes in as -EncodedCommand, so cmd.exe never parses it
+function runPowerShell(script) {
+  const encoded = Buffer.from(script, "utf16le").toString("base64");
+  return new Promise((resolve, reject) => {
+    execFile(
+      "powershell.exe",
+      ["-NoProfile", "-NonInteractive", "-EncodedCommand", encoded],
+      { windowsHide: true, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) return reject(new Error(stderr || error.message));
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+function parsePowerShellJson(rawOutput) {
+  const trimmed = (rawOutput || "").trim().replace(/^\uFEFF/, "");
+  return trimmed ? JSON.parse(trimmed) : null;
+}
+
+async function getPrintersFromPowerShell() {
+  const script =
+    "$ErrorActionPreference='Stop'; Get-CimInstance Win32_Printer -Property DeviceID,Name,PrinterPaperNames | " +
+    "Select-Object -Property DeviceID,Name,PrinterPaperNames | ConvertTo-Json -Compress -Depth 4";
+  const rawOutput = await runPowerShell(script);
+  const trimmed = (rawOutput || "").trim().replace(/^\uFEFF/, "");
+  if (!trimmed) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (e) {
+    throw new Error(`Failed to parse printer list: ${e.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  return entries
+    .filter(Boolean)
+    .map((p) => ({
+      deviceId: p.DeviceID || p.Name || "",
+      name: p.Name || p.DeviceID || "",
+      paperSizes: Array.isArray(p.PrinterPaperNames) ? p.PrinterPaperNames : [],
+    }))
+    .filter((p) => p.name || p.deviceId);
+}
+
+// Every spooler printer plus the name of every queued job ("<printer>, <job id>"),
+// from one PowerShell run whatever the number of printers asked about
+async function readSpooler() {
+  const parsed = parsePowerShellJson(
+    await runPowerShell(
+      "$ErrorActionPreference='Stop'; @{ " +
+        "printers = @(Get-CimInstance Win32_Printer | Select-Object -Property Name,ShareName,PrinterStatus,DetectedErrorState,WorkOffline); " +
+        "jobs = @(Get-CimInstance Win32_PrintJob | ForEach-Object { $_.Name }) } | ConvertTo-Json -Compress -Depth 3"
+    )
+  );
+  return {
+    printers: [].concat((parsed && parsed.printers) || []).filter(Boolean),
+    jobs: [].concat((parsed && parsed.jobs) || []).filter((name) => typeof name === "string"),
+  };
+}
+
+// Matches the printer by name or by share name (for "ShareName" / "\\host\ShareName" targets)
+function spoolerStatus(spooler, printer) {
+  const shareName = printer.startsWith("\\\\") ? printer.split("\\").filter(Boolean).pop() : printer;
+  const match = spooler.printers.find((p) => p.Name === printer || (p.ShareName && p.ShareName === shareName));
+  if (!match) {
+    const err = new Error(`Printer "${printer}" not found in the Windows spooler`);
+    err.status = 404;
+    throw err;
+  }
+  const jobCount = spooler.jobs.filter((name) => name.slice(0, name.lastIndexOf(",")) === match.Name).length;
+  return parseWin32Printer(printer, { ...match, JobCount: jobCount });
+}
+
+async function getSpoolerStatus(printer) {
+  return spoolerStatus(await readSpooler(), printer);
+}
+
+// Status of several printers from a single spooler read (used by the status poller)
+async function getSpoolerStatuses(printers) {
+  const spooler = await readSpooler();
+  return printers.map((printer) => {
+    try {
+      return { printer, status: spoolerStatus(spooler, printer) };
+    } catch (error) {
+      return { printer, error };
+    }
+  });
+}
+
+const SUMATRA_DUPLEX = { simplex: "simplex", long: "duplexlong", short: "duplexshort" };
+
+// Normalized print options (lib/print-options.js) -> SumatraPDF -print-settings entries
+function sumatraPrintSettings(options) {
+  const settings = [];
+  if (options.pages) settings.push(...options.pages.split(","));
+  if (options.scale === "noscale" || options.scale === "fit" || options.scale === "shrink") {
+    settings.push(options.scale);
+  }
+  if (options.orientation === "landscape") settings.push("landscape");
+  if (options.duplex && SUMATRA_DUPLEX[options.duplex]) settings.push(SUMATRA_DUPLEX[options.duplex]);
+  if (options.monochrome === true) settings.push("monochrome");
+  if (options.paper) settings.push(`paper=${options.paper}`);
+  if (options.tray) settings.push(`bin=${options.tray}`);
+  if (options.copies && Number.isInteger(options.copies) && options.copies > 0) {
+    settings.push(`${options.copies}x`);
+  }
+  return settings;
+}
+
+function createWindowsTransport({ logger }) {
+  // Patched version of pdf-to-printer's print(): SumatraPDF is started with an argument
+  // list (no shell), so spaces and quotes in printer names stay part of the name
+  function printPdfWithQuotedPrinterName(filePath, options) {
+    return new Promise((resolve, reject) => {
+      // Path to SumatraPDF executable within pdf-to-printer
+      const sumatraPdfPath = path.join(
+        __dirname,
+        "..",
+        "..",
+        "node_modules",
+        "pdf-to-printer",
+        "dist",
+        "SumatraPDF-3.4.6-32.exe"
+      );
+
+      // Check if SumatraPDF exists
+      if (!fs.existsSync(sumatraPdfPath)) {
+        return reject(new Error(`SumatraPDF executable not found at ${sumatraPdfPath}`));
+      }
+
+      const args = ["-print-to", options.printer, "-silent"];
+      const printSettings = sumatraPrintSettings(options);
+      if (printSettings.length > 0) {
+        args.push("-print-settings", printSettings.join(","));
+      }
+      args.push(filePath);
+
+      execFile(sumatraPdfPath, args, { windowsHide: true }, (err, stdout, stderr) => {
+        if (err) {
+          logger.error("PRINT_PDF_CMD_FAILED", {
+            cmd: [sumatraPdfPath, ...args].join(" "),
+            error: stderr || err.message,
+            stack: err.stack,
+          });
+          return reject(new Error(stderr || err.message));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async function enumeratePrinters() {
+    try {
+      const printers = await getPrinters();
+      if (Array.isArray(printers) && printers.length > 0) {
+        return printers;
+      }
+      logger.warn("PRINTERS_FALLBACK_EMPTY", { reason: "pdf-to-printer returned empty list" });
+    } catch (e) {
+      logger.warn("PRINTERS_FALLBACK_ERROR", { error: e.message });
+    }
+    const fallback = await getPrintersFromPowerShell();
+    if (!fallback.length) {
+      logger.warn("PRINTERS_FALLBACK_EMPTY", { reason: "PowerShell returned empty list" });
+    }
+    return fallback;
+  }
+
+  return {
+    name: "windows",
+    describeTarget: buildSharePath,
+    validateTarget(printer) {
+      checkPrinterName(printer);
+    },
+    async sendRaw(buffer, printer) {
+      const sharePath = buildSharePath(checkPrinterName(printer));
+      const temp = writeTempFile(buffer, "bin");
+      await copyBinaryToPrinter(temp, sharePath);
+      return { target: sharePath };
+    },
+    async printPdf(filePath, options) {
+      await printPdfWithQuotedPrinterName(filePath, options);
+      return { target: options.printer };
+    },
+    getStatus: (printer) => getSpoolerStatus(printer),
+    getStatuses: (printers) => getSpoolerStatuses(printers),
+    async listPrinters() {
+      const printers = await enumeratePrinters();
+      return printers
+        .map((p) => {
+          if (!p) return null;
+          if (typeof p === "string") return p;
+          return p.name || p.deviceId || null;
+        })
+        .filter((name) => typeof name === "string" && name.length > 0);
+    },
+  };
+}
+
+module.exports = { createWindowsTransport, runPowerShell, sumatraPrintSettings };
@@ -2,79 +2,66 @@
 
 /**
  * Print Server for Thermal & Label Printers (Windows‑first)
- * - Silent RAW (ESC/POS, TSPL/ZPL/CPCL) via Windows share using `copy /b`
- * - Silent PDF & HTML→PDF via `pdf-to-printer` (no preview)
+ * - Silent RAW (ESC/POS, TSPL/ZPL/CPCL) via Windows share using `copy /b`,
+ *   via CUPS `lp -o raw` / `/dev/usb/lp*` on Linux, or straight to tcp://host:9100
+ * - Silent PDF & HTML→PDF via SumatraPDF (Windows) or `lp` (Linux), no preview
  * - Optional API key protection & CORS restriction
  *
  * ENV:
  *  PORT=2020
  *  CORS_ORIGIN=*                  // set to http://127.0.0.1:3000, etc.
- *  API_KEY=your-secret            // if set, client must send x-api-key header
- *  THERMAL_WIDTH=80mm             // default width for /print-html
+ *  API_KEY=your-secret            // legacy shared key (x-api-key header), unrestricted;
+ *                                 // scoped keys per client go in PRINT_CONFIG "clients" (see lib/auth.js)
+ *  THERMAL_WIDTH=80mm             // default width for /print-html (and receipts when 58mm/80mm)
+ *  PRINT_CONFIG=./config.json     // site config: media profiles, per-printer settings
+ *  TEMPLATES_DIR=./templates      // server-side templates for /print-template
+ *  PRINT_BACKEND=auto             // windows | linux | virtual | auto (by OS)
+ *  CAPTURE_DIR=./captures         // virtual backend: where jobs are captured instead of printed
+ *  TCP_CONNECT_TIMEOUT_MS=3000    // tcp://host:9100 printers: connect timeout
+ *  TCP_WRITE_TIMEOUT_MS=10000     // tcp://host:9100 printers: idle timeout while sending
+ *  LINUX_PRINT_TIMEOUT_MS=30000   // linux backend: limit per lp / lpstat run and /dev/usb/lpN write
+ *  JOBS_DIR=./jobs                // persistent print job queue
+ *  JOB_MAX_ATTEMPTS=3             // attempts per job before it is marked failed
+ *  JOB_RETRY_DELAY_MS=5000        // delay before retry (multiplied by attempt number)
+ *  JOB_WAIT_TIMEOUT_MS=60000      // max wait for ?wait=1 requests
+ *  RENDER_CONCURRENCY=2           // max parallel Puppeteer renders on the shared browser
+ *  BROWSER_HEALTH_INTERVAL_MS=30000 // health check period for the shared browser
+ *  CETAK_DIR=./cetak              // archive of everything printed, one folder per day
+ *  ARCHIVE_RETENTION_DAYS=30      // archived output and finished jobs older than this are removed (0 = keep)
+ *  IDEMPOTENCY_WINDOW_MS=86400000 // how long an Idempotency-Key replays its first job instead of printing again
+ *  PRINTER_POLL_INTERVAL_MS=30000 // status poll of the printers in PRINT_CONFIG for /events (0 = off);
+ *                                 // per tick: one PowerShell run for all spooler printers, one
+ *                                 // connection per tcp:// printer, lpstat per CUPS queue
  */
 
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
+const multer = require("multer");
 const fs = require("fs");
-const os = require("os");
 const path = require("path");
-const { exec } = require("child_process");
-const { getPrinters } = require("pdf-to-printer");
-
-// Patched version of pdf-to-printer's print() to handle spaces in printer names on Windows
-function printPdfWithQuotedPrinterName(filePath, options) {
-  console.log('===========================ccccc========');
-  console.log(filePath);
-  console.log('====================================');
-  return new Promise((resolve, reject) => {
-    // Path to SumatraPDF executable within pdf-to-printer
-    const sumatraPdfPath = path.join(
-      __dirname,
-      "node_modules",
-      "pdf-to-printer",
-      "dist",
-      "SumatraPDF-3.4.6-32.exe"
-    );
-
-    // Check if SumatraPDF exists
-    if (!fs.existsSync(sumatraPdfPath)) {
-      return reject(new Error(`SumatraPDF executable not found at ${sumatraPdfPath}`));
-    }
-
-    const printerName = options.printer;
-
-    // Base command, ensuring printer name is quoted
-    let cmd = `"${sumatraPdfPath}" -print-to "${printerName}" -silent`;
-
-    // Build print settings string
-    const printSettings = [];
-    if (options.scale === "noscale") {
-      printSettings.push("noscale");
-    }
-    if (options.orientation === "landscape") {
-      printSettings.push("landscape");
-    }
-    if (options.copies && Number.isInteger(options.copies) && options.copies > 0) {
-      printSettings.push(`${options.copies}x`);
-    }
-
-    if (printSettings.length > 0) {
-      cmd += ` -print-settings "${printSettings.join(",")}"`;
-    }
-
-    // Add the file path to print, ensuring it's quoted
-    cmd += ` "${filePath}"`;
-
-    exec(cmd, { windowsHide: true }, (err, stdout, stderr) => {
-      if (err) {
-        logger.error("PRINT_PDF_CMD_FAILED", { cmd: cmd, error: stderr || err.message, stack: err.stack });
-        return reject(new Error(stderr || err.message));
-      }
-      resolve(stdout);
-    });
-  });
-}
+const os = require("os");
+const { createJobQueue } = require("./lib/job-queue");
+const { createTransport, createPrinterRouter } = require("./lib/transports");
+const { createArchive } = require("./lib/archive");
+const { createIdempotencyStore, fingerprint, KEY_PATTERN: IDEMPOTENCY_KEY_PATTERN } = require("./lib/idempotency");
+const { createEventStream } = require("./lib/event-stream");
+const { createPrinterMonitor } = require("./lib/printer-monitor");
+const { createAuth } = require("./lib/auth");
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./lib/metrics");
+const { queryLogs } = require("./lib/log-query");
+const { testReceipt, testHtml, testLabelHtml, testLabelLayout } = require("./lib/test-pages");
+const { compileReceipt, drawerPulse, buzzer, feedLines, cutPaper, COLUMNS_BY_WIDTH } = require("./lib/escpos");
+const { parseStrictRaw, isStrictRequest } = require("./lib/raw-payload");
+const codepages = require("./lib/codepages");
+const { parsePrintOptions, FIELDS: PRINT_OPTION_FIELDS } = require("./lib/print-options");
+const { createTemplateStore } = require("./lib/templates");
+const { createBrowserPool } = require("./lib/browser-pool");
+const { loadConfig, printerSettings, printerAliases, physicalPrinters, maskSecrets } = require("./lib/config");
+const { createMediaResolver, parseLength } = require("./lib/media");
+const { compileLabel } = require("./lib/label-lang");
+const { buildRasterJob, previewRasterPng, dotsForWidth } = require("./lib/raster");
+const { decodeEscpos, formatEscpos, hexdump } = require("./lib/escpos-decode");
 
 // ==== Logging (winston with daily rotate) ====
 const { createLogger, format, transports } = require("winston");
@@ -86,8 +73,9 @@ if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
 
 const CETAK_DIR = process.env.CETAK_DIR || path.join(process.cwd(), "cetak");
 if (!fs.existsSync(CETAK_DIR)) fs.mkdirSync(CETAK_DIR, { recursive: true });
-const LABEL_PDF_FILENAME = process.env.LABEL_PDF_FILENAME || "label.pdf";
-const HTML_PDF_FILENAME = process.env.HTML_PDF_FILENAME || "print-html.pdf";
+const JOBS_DIR = process.env.JOBS_DIR || path.join(process.cwd(), "jobs");
+const CAPTURE_DIR = process.env.CAPTURE_DIR || path.join(process.cwd(), "captures");
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, "templates");
 
 const rotate = new transports.DailyRotateFile({
   dirname: LOG_DIR,
@@ -129,12 +117,94 @@ const PORT = Number(process.env.PORT) || 2020;
 const ORIGIN = process.env.CORS_ORIGIN || "*";
 const API_KEY = process.env.API_KEY || null;
 const DEFAULT_WIDTH = process.env.THERMAL_WIDTH || "80mm";
+// Receipts only know the roll widths in lib/escpos.js; any other THERMAL_WIDTH falls back to 80mm
+const THERMAL_WIDTH = DEFAULT_WIDTH.trim().toLowerCase();
+const RECEIPT_WIDTH = Object.hasOwn(COLUMNS_BY_WIDTH, THERMAL_WIDTH) ? THERMAL_WIDTH : "80mm";
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_RETRY_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS) || 5000;
+const JOB_WAIT_TIMEOUT_MS = Number(process.env.JOB_WAIT_TIMEOUT_MS) || 60000;
+const IDEMPOTENCY_WINDOW_MS = Number(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000;
+const RENDER_CONCURRENCY = Number(process.env.RENDER_CONCURRENCY) || 2;
+const BROWSER_HEALTH_INTERVAL_MS = Number(process.env.BROWSER_HEALTH_INTERVAL_MS) || 30000;
+const PRINTER_POLL_INTERVAL_MS =
+  process.env.PRINTER_POLL_INTERVAL_MS !== undefined ? Number(process.env.PRINTER_POLL_INTERVAL_MS) || 0 : 30000;
+const ARCHIVE_RETENTION_DAYS =
+  process.env.ARCHIVE_RETENTION_DAYS !== undefined ? Number(process.env.ARCHIVE_RETENTION_DAYS) || 0 : 30;
+
+const config = loadConfig(process.env.PRINT_CONFIG || path.join(__dirname, "config.json"));
+const media = createMediaResolver(config);
+const auth = createAuth({ clients: config.clients, legacyKey: API_KEY });
+const metrics = createRegistry();
+
+const physicalTransport = createTransport({
+  backend: process.env.PRINT_BACKEND,
+  logger,
+  tcp: {
+    connectTimeoutMs: Number(process.env.TCP_CONNECT_TIMEOUT_MS) || 3000,
+    writeTimeoutMs: Number(process.env.TCP_WRITE_TIMEOUT_MS) || 10000,
+  },
+  linux: {
+    commandTimeoutMs: Number(process.env.LINUX_PRINT_TIMEOUT_MS) || 30000,
+  },
+  virtual: {
+    dir: CAPTURE_DIR,
+    renderPng: (html, dots) => renderHtmlPng(html, dots),
+  },
+});
+
+// Status poll of the physical printers in PRINT_CONFIG; feeds /events and alias failover
+const printerMonitor = createPrinterMonitor({
+  transport: physicalTransport,
+  printers: physicalPrinters(config),
+  logger,
+  intervalMs: PRINTER_POLL_INTERVAL_MS,
+});
+
+// Everything below prints through `transport`, which also accepts the logical
+// printer names (aliases) from PRINT_CONFIG
+const transport = createPrinterRouter({
+  transport: physicalTransport,
+  aliases: printerAliases(config),
+  logger,
+  lastStatus: printerMonitor.statusOf,
+});
 
 const app = express();
-app.use(cors({ origin: ORIGIN === "*" ? true : ORIGIN }));
+// Browser clients read Idempotent-Replayed to tell a replayed answer from a new print
+app.use(cors({ origin: ORIGIN === "*" ? true : ORIGIN, exposedHeaders: ["Idempotent-Replayed"] }));
 app.use(bodyParser.json({ limit: "50mb" }));
 
+// ==== Client identification ====
+// x-api-key, "Authorization: Bearer <key>" (for scrapers such as Prometheus), Basic auth
+// with the key as password (the /admin dashboard login prompt) or ?key= on /events
+// (EventSource cannot send headers) -> req.client.
+// Access rules are enforced by the security middleware below.
+function presentedKey(req) {
+  const authorization = req.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1];
+  const basic = authorization.match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const decoded = Buffer.from(basic[1], "base64").toString("utf8");
+    const colon = decoded.indexOf(":");
+    return colon >= 0 ? decoded.slice(colon + 1) || decoded.slice(0, colon) : decoded;
+  }
+  return req.get("x-api-key") || (req.path === "/events" ? req.query.key : null);
+}
+
+app.use((req, res, next) => {
+  const key = presentedKey(req);
+  req.client = auth.identify(key);
+  next();
+});
+
 // ==== Request logging middleware ====
+const httpRequests = metrics.counter("print_http_requests_total", "HTTP requests by route and status", [
+  "method",
+  "route",
+  "status",
+]);
+
 function summarizeBody(b) {
   if (!b || typeof b !== "object") return undefined;
   const out = {};
@@ -153,8 +223,14 @@ function summarizeBody(b) {
   if (Array.isArray(b.rawBytes)) out.rawBytes_len = b.rawBytes.length;
   if (Array.isArray(b.bytes)) out.bytes_len = b.bytes.length;
   if (Array.isArray(b.commands)) out.commands_len = b.commands.length;
+  if (Array.isArray(b.blocks)) out.blocks_len = b.blocks.length;
   if (typeof b.pdfBase64 === "string") out.pdfBase64_len = b.pdfBase64.length;
   if (typeof b.html === "string") out.html_len = b.html.length;
+  if (typeof b.template === "string") out.template = b.template;
+  if (typeof b.media === "string") out.media = b.media;
+  if (typeof b.language === "string") out.language = b.language;
+  if (typeof b.mode === "string") out.mode = b.mode;
+  if (b.layout && Array.isArray(b.layout.elements)) out.layout_elements = b.layout.elements.length;
   if (typeof b.data === "string") out.data_preview = b.data.slice(0, 120);
   return out;
 }
@@ -165,17 +241,24 @@ app.use((req, res, next) => {
   logger.info("REQ", {
     id: req.id,
     method: req.method,
-    url: req.originalUrl,
+    url: req.originalUrl.replace(/([?&]key=)[^&]*/, "$1***"),
     ip: req.ip,
+    client: req.client ? req.client.name : null,
     body: summarizeBody(req.body),
   });
   res.on("finish", () => {
     const durMs = Number(process.hrtime.bigint() - start) / 1e6;
     logger.info("RES", {
       id: req.id,
+      client: req.client ? req.client.name : null,
       status: res.statusCode,
       duration_ms: Math.round(durMs),
     });
+    httpRequests.inc({
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : "unmatched",
+      status: res.statusCode,
+    });
   });
   next();
 });
@@ -184,34 +267,6 @@ app.use((req, res, next) => {
 // ---- Helpers ----
 const now = () => new Date().toISOString();
 
-function writeTempFile(buffer, ext) {
-  const tempFilePath = path.join(
-    os.tmpdir(),
-    `print-${Date.now()}-${Math.random().toString(16).slice(2)}.${ext}`
-  );
-  fs.writeFileSync(tempFilePath, buffer);
-  return tempFilePath;
-}
-
-function buildSharePath(name) {
-  // If already UNC path (\\host\share), return as-is. Otherwise assume local share name.
-  if (name.startsWith("\\\\")) return name;
-  return `\\\\127.0.0.1\\${name}`;
-}
-
-function copyBinaryToPrinter(tempFilePath, sharePath) {
-  // Uses Windows copy binary mode to push data directly to printer share (RAW)
-  return new Promise((resolve, reject) => {
-    const cmd = `copy /b "${tempFilePath}" "${sharePath}"`;
-    exec(cmd, { windowsHide: true }, (err, stdout, stderr) => {
-      // Always clean up the temp file
-      fs.unlink(tempFilePath, () => {});
-      if (err) return reject(new Error(stderr || err.message));
-      resolve(stdout);
-    });
-  });
-}
-
 const BASE64_REGEX = /^[0-9a-z+/=]+$/i;
 const HEX_REGEX = /^[0-9a-f]+$/i;
 const STRING_PAYLOAD_FIELDS = [
@@ -319,7 +374,8 @@ function resolvePrinterShare(body) {
 }
 
 
-function resolveRawBuffer(body) {
+// codePage: transcode utf8/text payloads to this ESC/POS code page (with its ESC t selector)
+function resolveRawBuffer(body, codePage) {
   if (!body || typeof body !== "object") return null;
 
   const encoding =
@@ -408,6 +464,9 @@ function resolveRawBuffer(body) {
       if (!base64Buffer) throw new Error("Invalid base64 payload");
       return base64Buffer;
     }
+    if ((encoding === "utf8" || encoding === "text") && codePage) {
+      return Buffer.concat([codepages.selectCodePage(codePage), codepages.encodeText(primary, codePage).buffer]);
+    }
     if (encoding === "utf8" || encoding === "text") {
       return Buffer.from(primary, "utf8");
     }
@@ -430,424 +489,1592 @@ function resolveRawBuffer(body) {
   }
 }
 
-function runPowerShell(script) {
-  const normalized = script.replace(/"/g, '\\"');
-  const command = `powershell.exe -NoProfile -Command "${normalized}"`;
-  return new Promise((resolve, reject) => {
-    exec(
-      command,
-      { windowsHide: true, maxBuffer: 10 * 1024 * 1024 },
-      (error, stdout, stderr) => {
-        if (error) return reject(new Error(stderr || error.message));
-        resolve(stdout);
+// ---- Renderers (HTML -> PDF via Puppeteer) ----
+// One warm Chromium is shared by every render instead of a launch per job.
+const browserPool = createBrowserPool({
+  logger,
+  maxConcurrent: RENDER_CONCURRENCY,
+  healthIntervalMs: BROWSER_HEALTH_INTERVAL_MS,
+});
+
+const MM_TO_CSS_PX = 96 / 25.4;
+
+// Lays label HTML out on the media profile's page and scales it per the profile's fit policy
+async function prepareLabelPage(page, html, media) {
+  const { margin } = media;
+  const contentWidthMm = media.width - margin.left - margin.right;
+  const contentHeightMm = media.height - margin.top - margin.bottom;
+
+  // viewport at printer resolution, e.g. 60mm @ 203dpi ≈ 480px
+  await page.setViewport({
+    width: Math.round((media.width / 25.4) * media.dpi),
+    height: Math.round((media.height / 25.4) * media.dpi),
+    deviceScaleFactor: 1,
+  });
+
+  // HTML dasar
+  const styledHtml = `
+    <style>
+      @page { margin: 0; }
+      body { margin: 0; padding: 0; }
+      .label-container {
+        width: ${contentWidthMm}mm;
+        height: ${contentHeightMm}mm;
+        box-sizing: border-box;
+        overflow: ${media.fit === "none" ? "hidden" : "visible"};
+        transform-origin: top left;
       }
-    );
+    </style>
+    <div class="label-container">
+      ${html}
+    </div>
+  `;
+
+  await page.setContent(styledHtml, { waitUntil: "networkidle0" });
+
+  // ukur konten aktual dan sesuaikan skala agar muat ke area label
+  if (media.fit !== "none") {
+    await page.evaluate((targetWidth, targetHeight, fit) => {
+      const container = document.querySelector(".label-container");
+      const contentWidth = container.scrollWidth;
+      const contentHeight = container.scrollHeight;
+      if (!contentWidth || !contentHeight) return;
+
+      // rasio skala agar muat seluruhnya
+      const scaleX = targetWidth / contentWidth;
+      const scaleY = targetHeight / contentHeight;
+      let scale = Math.min(scaleX, scaleY);
+      if (fit === "shrink") scale = Math.min(scale, 1); // jangan membesar, hanya mengecil
+
+      container.style.transform = `scale(${scale})`;
+    }, contentWidthMm * MM_TO_CSS_PX, contentHeightMm * MM_TO_CSS_PX, media.fit);
+  }
+}
+
+function renderLabelPdf(html, media) {
+  return browserPool.withPage(async (page) => {
+    await prepareLabelPage(page, html, media);
+    const { margin } = media;
+
+    // hasilkan PDF
+    return await page.pdf({
+      width: `${media.width}mm`,
+      height: `${media.height}mm`,
+      printBackground: true,
+      margin: {
+        top: `${margin.top}mm`,
+        right: `${margin.right}mm`,
+        bottom: `${margin.bottom}mm`,
+        left: `${margin.left}mm`,
+      },
+    });
+  });
+}
+
+function renderLabelPng(html, media) {
+  return browserPool.withPage(async (page) => {
+    await prepareLabelPage(page, html, media);
+    const { margin } = media;
+    const clip = await page.evaluate(() => {
+      const rect = document.querySelector(".label-container").getBoundingClientRect();
+      return { x: 0, y: 0, width: Math.ceil(rect.right), height: Math.ceil(rect.bottom) };
+    });
+    clip.width = Math.max(clip.width, Math.ceil((media.width - margin.left - margin.right) * MM_TO_CSS_PX));
+    clip.height = Math.max(clip.height, Math.ceil((media.height - margin.top - margin.bottom) * MM_TO_CSS_PX));
+    return Buffer.from(await page.screenshot({ type: "png", clip }));
   });
 }
 
-async function getPrintersFromPowerShell() {
-  const script =
-    "$ErrorActionPreference='Stop'; Get-CimInstance Win32_Printer -Property DeviceID,Name,PrinterPaperNames | " +
-    "Select-Object -Property DeviceID,Name,PrinterPaperNames | ConvertTo-Json -Compress -Depth 4";
-  const rawOutput = await runPowerShell(script);
-  const trimmed = (rawOutput || "").trim().replace(/^\uFEFF/, "");
-  if (!trimmed) return [];
-  let parsed;
+function renderHtmlPdf(html, width, heightPx, margin) {
+  return browserPool.withPage(async (page) => {
+    await page.setContent(html, { waitUntil: "networkidle0" });
+
+    let finalHeight = heightPx;
+    if (typeof finalHeight === "string") {
+      // fixed page height from a media profile, e.g. "297mm"
+    } else if (!finalHeight) {
+      finalHeight = await page.evaluate(() => {
+        const el = document.querySelector(".page") || document.body;
+        return Math.ceil(el.scrollHeight);
+      });
+      if (!finalHeight || finalHeight < 100) finalHeight = 800;
+    }
+
+    const pdfBuffer = await page.pdf({
+      width,
+      height: typeof finalHeight === "string" ? finalHeight : `${finalHeight}px`,
+      printBackground: true,
+      margin: margin
+        ? {
+            top: `${margin.top}mm`,
+            right: `${margin.right}mm`,
+            bottom: `${margin.bottom}mm`,
+            left: `${margin.left}mm`,
+          }
+        : { top: "0px", right: "0px", bottom: "0px", left: "0px" },
+    });
+    return { pdfBuffer, height: finalHeight };
+  });
+}
+
+// Screenshot of an HTML document at its page width, for previews
+function renderHtmlScreenshot(html, width) {
+  return browserPool.withPage(async (page) => {
+    const cssWidth = Math.round(parseLength(width, "width") * MM_TO_CSS_PX);
+    await page.setViewport({ width: cssWidth, height: 100, deviceScaleFactor: 2 });
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    return Buffer.from(await page.screenshot({ type: "png", fullPage: true }));
+  });
+}
+
+// Renders HTML at the printer's dot width (e.g. 576 dots ≈ 72mm printable at 203dpi)
+// and returns a full-page PNG screenshot exactly `dots` pixels wide
+function renderHtmlPng(html, dots) {
+  return browserPool.withPage(async (page) => {
+    const cssWidth = Math.round((dots * 96) / 203);
+    await page.setViewport({ width: cssWidth, height: 100, deviceScaleFactor: dots / cssWidth });
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    return Buffer.from(await page.screenshot({ type: "png", fullPage: true, omitBackground: false }));
+  });
+}
+
+// ---- Job queue ----
+// Whatever a job finally sends (PDF or RAW bytes) is archived under CETAK_DIR
+// before it goes to the printer, so it can be reprinted later.
+const archive = createArchive({ dir: CETAK_DIR, logger });
+
+// Every print route validates its body, stores a normalized payload as a job
+// and answers right away with the job id. The worker renders and sends it.
+const jobQueue = createJobQueue({
+  dir: JOBS_DIR,
+  logger,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  retryDelayMs: JOB_RETRY_DELAY_MS,
+});
+
+jobQueue.register("raw", {
+  errorEvent: "RAW_ERROR",
+  render: async (payload) => Buffer.from(payload.dataBase64, "base64"),
+  send: async (buffer, payload, job) => {
+    const archived = archive.save(job, payload, buffer, { kind: "raw" });
+    const { target, printer } = await transport.sendRaw(buffer, payload.printer);
+    logger.info("RAW_OK", {
+      id: job.meta.requestId,
+      jobId: job.id,
+      sharePath: target,
+      printedOn: printer,
+      backend: transport.name,
+      file: archived.file,
+    });
+    return { message: `Sent RAW to ${target}`, printedOn: printer, archive: archived };
+  },
+});
+
+jobQueue.register("label", {
+  errorEvent: "LABEL_HTML_ERROR",
+  render: async (payload) => renderLabelPdf(payload.html, payload.media || media.resolveLabel({})),
+  send: async (pdfBuffer, payload, job) => {
+    const profile = payload.media || media.resolveLabel({});
+    const printOptions = { scale: "noscale", orientation: profile.orientation, copies: profile.copies };
+    const archived = archive.save(job, payload, pdfBuffer, { kind: "pdf", printOptions });
+    const pdfPath = archive.resolve(archived.file);
+    const { printer } = await transport.printPdf(pdfPath, { printer: payload.printer, ...printOptions });
+    logger.info("LABEL_HTML_OK", {
+      id: job.meta.requestId,
+      jobId: job.id,
+      printer: payload.printer,
+      printedOn: printer,
+      media: profile.name,
+      path: pdfPath,
+    });
+    return {
+      message: `Sent scaled HTML LABEL to ${printer} and saved to ${pdfPath}`,
+      printedOn: printer,
+      path: pdfPath,
+      archive: archived,
+    };
+  },
+});
+
+jobQueue.register("pdf", {
+  errorEvent: "PDF_ERROR",
+  render: async (payload) => Buffer.from(payload.pdfBase64, "base64"),
+  send: async (buffer, payload, job) => {
+    const printOptions = { scale: "noscale", ...payload.printOptions };
+    const archived = archive.save(job, payload, buffer, { kind: "pdf", printOptions });
+    const { printer } = await transport.printPdf(archive.resolve(archived.file), { printer: payload.printer, ...printOptions });
+    logger.info("PDF_OK", { id: job.meta.requestId, jobId: job.id, printer: payload.printer, printedOn: printer, file: archived.file });
+    return { message: `Sent PDF to ${printer}`, printedOn: printer, archive: archived };
+  },
+});
+
+jobQueue.register("html", {
+  errorEvent: "HTML_ERROR",
+  render: async (payload) => renderHtmlPdf(payload.html, payload.width, payload.heightPx, payload.margin),
+  send: async ({ pdfBuffer, height }, payload, job) => {
+    const printOptions = { scale: "noscale", orientation: payload.orientation, copies: payload.copies, ...payload.printOptions };
+    const archived = archive.save(job, payload, pdfBuffer, { kind: "pdf", printOptions });
+    const pdfPath = archive.resolve(archived.file);
+    const { printer } = await transport.printPdf(pdfPath, { printer: payload.printer, ...printOptions });
+    logger.info("HTML_OK", {
+      id: job.meta.requestId,
+      jobId: job.id,
+      printer: payload.printer,
+      printedOn: printer,
+      width: payload.width,
+      heightPx: height,
+      path: pdfPath,
+    });
+    return {
+      message: `Sent HTML as PDF to ${printer} and saved to ${pdfPath}`,
+      printedOn: printer,
+      path: pdfPath,
+      archive: archived,
+    };
+  },
+});
+
+jobQueue.register("raster", {
+  errorEvent: "RASTER_ERROR",
+  render: async (payload) => {
+    const png = await renderHtmlPng(payload.html, payload.dots);
+    return buildRasterJob(png, {
+      width: payload.dots,
+      dither: payload.dither,
+      threshold: payload.threshold,
+      cut: payload.cut,
+    });
+  },
+  send: async (buffer, payload, job) => {
+    const archived = archive.save(job, payload, buffer, { kind: "raw" });
+    const { target, printer } = await transport.sendRaw(buffer, payload.printer);
+    logger.info("RASTER_OK", {
+      id: job.meta.requestId,
+      jobId: job.id,
+      sharePath: target,
+      printedOn: printer,
+      dots: payload.dots,
+      bytes: buffer.length,
+    });
+    return { message: `Sent HTML as ESC/POS raster to ${target}`, printedOn: printer, archive: archived };
+  },
+});
+
+// Sends the archived output of an earlier job again, without rendering.
+// payload: { sourceJobId, printer, copies, language, archive: { file, kind, printOptions } }
+function loadArchivedOutput(payload) {
+  const file = archive.resolve(payload.archive.file);
+  if (!file) {
+    throw Object.assign(new Error(`Archived output ${payload.archive.file} no longer exists`), { retryable: false });
+  }
+  return file;
+}
+
+jobQueue.register("reprint", {
+  errorEvent: "REPRINT_ERROR",
+  render: async (payload) => loadArchivedOutput(payload),
+  send: async (file, payload, job) => {
+    const { kind, printOptions } = payload.archive;
+    let sent;
+    if (kind === "pdf") {
+      const copies = payload.copies || (printOptions && printOptions.copies);
+      sent = await transport.printPdf(file, { ...printOptions, copies, printer: payload.printer });
+    } else {
+      const buffer = fs.readFileSync(file);
+      sent = await transport.sendRaw(Buffer.concat(Array(payload.copies || 1).fill(buffer)), payload.printer);
+    }
+    logger.info("REPRINT_OK", {
+      id: job.meta.requestId,
+      jobId: job.id,
+      sourceJobId: payload.sourceJobId,
+      printer: payload.printer,
+      printedOn: sent.printer,
+      file: payload.archive.file,
+    });
+    return {
+      message: `Reprinted job ${payload.sourceJobId} on ${sent.printer}`,
+      printedOn: sent.printer,
+      archive: payload.archive,
+    };
+  },
+});
+
+// Removes archived output and finished job records past ARCHIVE_RETENTION_DAYS
+function pruneArchive() {
+  if (!ARCHIVE_RETENTION_DAYS) return;
+  const cutoff = new Date(Date.now() - ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
   try {
-    parsed = JSON.parse(trimmed);
+    const removedJobs = jobQueue.prune(cutoff);
+    archive.prune(cutoff);
+    if (removedJobs.length) logger.info("JOBS_PRUNED", { count: removedJobs.length, before: cutoff });
   } catch (e) {
-    throw new Error(`Failed to parse printer list: ${e.message}`);
+    logger.error("ARCHIVE_PRUNE_ERROR", { error: e.message, stack: e.stack });
   }
-  const entries = Array.isArray(parsed) ? parsed : [parsed];
-  return entries
-    .filter(Boolean)
-    .map((p) => ({
-      deviceId: p.DeviceID || p.Name || "",
-      name: p.Name || p.DeviceID || "",
-      paperSizes: Array.isArray(p.PrinterPaperNames) ? p.PrinterPaperNames : [],
-    }))
-    .filter((p) => p.name || p.deviceId);
 }
 
-async function enumeratePrinters() {
+// Invalid request body; `extra` may carry a machine-readable code and field
+function badRequest(message, extra) {
+  return Object.assign(new Error(message), { status: 400 }, extra);
+}
+
+function badRequestBody(e) {
+  if (!e.code) return { success: false, error: e.message };
+  return { success: false, code: e.code, field: e.field || null, error: e.message };
+}
+
+// ---- Preview / dry run ----
+// Every print endpoint accepts dryRun: true (or ?dryRun=1). The job is rendered exactly
+// as it would be printed, then returned instead of being queued and sent.
+// Format (body.previewFormat or ?format=):
+//  - html / label / template / pdf:  "pdf" (default) or "png"
+//  - raster:                         "png" (default, the dithered bitmap) or "json"
+//  - raw / receipt / TSPL-ZPL label: "json" (default: hexdump + decoded view) or "bin"
+
+function rawPreview(buffer, payload) {
+  const language = payload.language || "escpos";
+  const decoded = language === "escpos" ? formatEscpos(decodeEscpos(buffer)) : buffer.toString("latin1");
+  return {
+    json: {
+      bytes: buffer.length,
+      language,
+      printer: payload.printer,
+      decoded,
+      hexdump: hexdump(buffer, 64 * 1024),
+    },
+  };
+}
+
+const previewers = {
+  raw: async (payload, format) => {
+    const buffer = Buffer.from(payload.dataBase64, "base64");
+    if (format === "bin") return { contentType: "application/octet-stream", body: buffer };
+    if (format && format !== "json") throw badRequest(`Unsupported preview format "${format}" for RAW jobs (json | bin)`);
+    return rawPreview(buffer, payload);
+  },
+  pdf: async (payload, format) => {
+    if (format && format !== "pdf") throw badRequest(`Unsupported preview format "${format}" for PDF jobs (pdf)`);
+    return { contentType: "application/pdf", body: Buffer.from(payload.pdfBase64, "base64") };
+  },
+  html: async (payload, format) => {
+    if (format === "png") return { contentType: "image/png", body: await renderHtmlScreenshot(payload.html, payload.width) };
+    if (format && format !== "pdf") throw badRequest(`Unsupported preview format "${format}" for HTML jobs (pdf | png)`);
+    const { pdfBuffer } = await renderHtmlPdf(payload.html, payload.width, payload.heightPx, payload.margin);
+    return { contentType: "application/pdf", body: pdfBuffer };
+  },
+  label: async (payload, format) => {
+    if (format === "png") return { contentType: "image/png", body: await renderLabelPng(payload.html, payload.media) };
+    if (format && format !== "pdf") throw badRequest(`Unsupported preview format "${format}" for label jobs (pdf | png)`);
+    return { contentType: "application/pdf", body: await renderLabelPdf(payload.html, payload.media) };
+  },
+  raster: async (payload, format) => {
+    const png = await renderHtmlPng(payload.html, payload.dots);
+    if (format === "json") {
+      const bytes = buildRasterJob(png, { width: payload.dots, dither: payload.dither, threshold: payload.threshold, cut: payload.cut });
+      return rawPreview(bytes, payload);
+    }
+    if (format && format !== "png") throw badRequest(`Unsupported preview format "${format}" for raster jobs (png | json)`);
+    return {
+      contentType: "image/png",
+      body: previewRasterPng(png, { width: payload.dots, dither: payload.dither, threshold: payload.threshold }),
+    };
+  },
+  reprint: async (payload, format) => {
+    let file;
+    try {
+      file = loadArchivedOutput(payload);
+    } catch (e) {
+      throw badRequest(e.message);
+    }
+    const data = fs.readFileSync(file).toString("base64");
+    if (payload.archive.kind === "pdf") return previewers.pdf({ pdfBase64: data }, format);
+    return previewers.raw({ printer: payload.printer, language: payload.language, dataBase64: data }, format);
+  },
+};
+
+function isDryRun(req) {
+  const flag = req.query.dryRun !== undefined ? req.query.dryRun : req.body && req.body.dryRun;
+  return flag === true || flag === "1" || flag === "true";
+}
+
+async function respondWithPreview(req, res, type, payload) {
+  const format = (req.query.format || (req.body && req.body.previewFormat) || "").toString().toLowerCase() || null;
+  const started = Date.now();
+  let preview;
   try {
-    const printers = await getPrinters();
-    if (Array.isArray(printers) && printers.length > 0) {
-      return printers;
+    preview = await previewers[type](payload, format);
+  } catch (e) {
+    if (e.status !== 400) throw e;
+    return res.status(400).json({ success: false, dryRun: true, error: e.message });
+  }
+  logger.info("PREVIEW_OK", { id: req.id, type, format, duration_ms: Date.now() - started });
+  if (preview.json) {
+    return res.json({ success: true, dryRun: true, type, ...preview.json });
+  }
+  res.set("Content-Type", preview.contentType);
+  res.set("X-Dry-Run", "1");
+  res.send(preview.body);
+}
+
+function wantsToWait(req) {
+  const flag = req.query.wait !== undefined ? req.query.wait : req.body && req.body.wait;
+  return flag === true || flag === "1" || flag === "true";
+}
+
+// What a job sends to the transport: "pdf" (through a driver) or "raw" bytes
+const PDF_JOB_TYPES = new Set(["label", "pdf", "html"]);
+
+function outputKind(type, payload) {
+  if (type === "reprint") return payload.archive.kind;
+  return PDF_JOB_TYPES.has(type) ? "pdf" : "raw";
+}
+
+function enqueueJob(req, type, payload, extraMeta, jobOptions) {
+  return jobQueue.enqueue(type, payload, {
+    requestId: req.id,
+    endpoint: req.path,
+    route: req.route ? req.baseUrl + req.route.path : null,
+    client: req.client ? req.client.name : null,
+    ip: req.ip,
+    printer: payload.printer,
+    ...extraMeta,
+  }, jobOptions);
+}
+
+// ---- Idempotency ----
+// Any print request may carry `Idempotency-Key: <key>`. A repeat of the same request
+// with the same key (per client, within IDEMPOTENCY_WINDOW_MS) answers with the job(s)
+// of the first one instead of printing again; keys are kept under JOBS_DIR.
+const idempotency = createIdempotencyStore({
+  dir: path.join(JOBS_DIR, "idempotency"),
+  logger,
+  windowMs: IDEMPOTENCY_WINDOW_MS,
+});
+
+function requestFingerprint(req) {
+  return fingerprint([req.method, req.path, JSON.stringify(req.body || {}), req.file ? req.file.buffer : ""]);
+}
+
+// null without a key; { replay: record } for a repeat; { record } for a new key,
+// which the caller fills with its job ids (or releases when nothing was queued).
+// Throws 400 for a malformed key and 422 when the key was used for another request.
+function claimIdempotencyKey(req) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return null;
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw badRequest("Idempotency-Key must be 1-255 printable ASCII characters", { code: "INVALID_IDEMPOTENCY_KEY" });
+  }
+  const scope = req.client ? req.client.name : "";
+  const requestHash = requestFingerprint(req);
+  const existing = idempotency.lookup(scope, key);
+  if (existing) {
+    if (existing.fingerprint !== requestHash) {
+      throw Object.assign(new Error("Idempotency-Key was already used for a different request"), {
+        status: 422,
+        code: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    // Jobs removed by retention can no longer be replayed; the key starts over
+    if (existing.jobIds.some((id) => id && jobQueue.get(id))) {
+      logger.info("IDEMPOTENT_REPLAY", { id: req.id, client: scope || null, key, jobIds: existing.jobIds });
+      return { replay: existing };
     }
-    logger.warn("PRINTERS_FALLBACK_EMPTY", { reason: "pdf-to-printer returned empty list" });
+    idempotency.release(existing);
+  }
+  return { record: idempotency.remember(scope, key, { fingerprint: requestHash }) };
+}
+
+// Answers for a claim error, or returns false
+function rejectIdempotencyError(req, res, e) {
+  if (e.status !== 400 && e.status !== 422) return false;
+  logger.warn("IDEMPOTENCY_KEY_REJECTED", { id: req.id, code: e.code, error: e.message });
+  res.status(e.status).json(badRequestBody(e));
+  return true;
+}
+
+// Queue a job and answer with its id. With ?wait=1 (or body.wait=true) the
+// response is held until the job finishes, for clients that still expect the
+// old synchronous behaviour.
+async function enqueueAndRespond(req, res, type, payload, label, extraMeta, jobOptions) {
+  if (!auth.allowsPrinter(req.client, payload.printer)) {
+    logger.warn("CLIENT_PRINTER_FORBIDDEN", { id: req.id, client: req.client.name, printer: payload.printer });
+    return res.status(403).json({ success: false, error: `Client ${req.client.name} may not print to ${payload.printer}` });
+  }
+  transport.validateTarget(payload.printer, outputKind(type, payload));
+  if (isDryRun(req)) return respondWithPreview(req, res, type, payload);
+  let claim;
+  try {
+    claim = claimIdempotencyKey(req);
   } catch (e) {
-    logger.warn("PRINTERS_FALLBACK_ERROR", { error: e.message });
+    if (rejectIdempotencyError(req, res, e)) return;
+    throw e;
+  }
+  const message = `Queued ${label} job for ${payload.printer}`;
+  if (claim && claim.replay) {
+    res.set("Idempotent-Replayed", "true");
+    return respondWithJob(req, res, jobQueue.get(claim.replay.jobIds[0]), message);
   }
-  const fallback = await getPrintersFromPowerShell();
-  if (!fallback.length) {
-    logger.warn("PRINTERS_FALLBACK_EMPTY", { reason: "PowerShell returned empty list" });
+  let job;
+  try {
+    job = enqueueJob(req, type, payload, extraMeta, jobOptions);
+  } catch (e) {
+    if (claim) idempotency.release(claim.record);
+    throw e;
   }
-  return fallback;
+  if (claim) {
+    claim.record.jobIds.push(job.id);
+    idempotency.update(claim.record);
+  }
+  return respondWithJob(req, res, job, message);
 }
 
+// A finished job (e.g. an idempotent replay) is answered with its outcome right away
+async function respondWithJob(req, res, job, message) {
+  if (!jobQueue.isTerminal(job.status) && !wantsToWait(req)) {
+    return res.status(202).json({ success: true, jobId: job.id, status: job.status, message });
+  }
+  const finished = jobQueue.isTerminal(job.status) ? job : await jobQueue.waitFor(job.id, JOB_WAIT_TIMEOUT_MS);
+  if (finished.status === "done") {
+    return res.json({ success: true, jobId: finished.id, status: finished.status, ...finished.result });
+  }
+  if (finished.status === "failed") {
+    return res.status(500).json({ success: false, jobId: finished.id, status: finished.status, error: finished.error });
+  }
+  return res.status(202).json({ success: true, jobId: finished.id, status: finished.status, error: finished.error });
+}
+
+// ---- Live events (SSE) ----
+// Job status changes from the queue and printer state changes from the poller
+// are pushed to every /events client.
+const events = createEventStream({ logger });
+
+const JOB_EVENTS = {
+  rendering: "job.started",
+  sending: "job.sending",
+  done: "job.completed",
+  failed: "job.failed",
+};
+
+function jobEvent(job) {
+  const event = job.status === "queued" ? (job.attempts > 0 ? "job.retrying" : "job.queued") : JOB_EVENTS[job.status];
+  return {
+    event,
+    data: {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      printer: job.meta.printer || null,
+      requestId: job.meta.requestId || null,
+      endpoint: job.meta.endpoint || null,
+      attempts: job.attempts,
+      error: job.error,
+      message: job.result ? job.result.message : null,
+      at: job.updatedAt,
+    },
+  };
+}
+
+jobQueue.on("status", (job) => {
+  const { event, data } = jobEvent(job);
+  events.publish(event, data);
+});
+
+printerMonitor.on("change", (status, previous) => {
+  let event = "printer.status";
+  if (status.online === true && previous.online !== true) event = "printer.online";
+  if (status.online === false && previous.online !== false) event = "printer.offline";
+  events.publish(event, status);
+});
+
+// ---- Metrics ----
+// Job outcomes and phase durations come from the queue's status events; gauges
+// are read at scrape time. Exposed at GET /metrics in Prometheus text format.
+// Labels only take values from the route table and PRINT_CONFIG (anything else is
+// "other"), so clients cannot create new series by sending new printer names.
+const METRIC_PRINTERS = new Set([...Object.keys(config.printers || {}), ...physicalPrinters(config)]);
+const metricPrinter = (printer) => (METRIC_PRINTERS.has(printer) ? printer : "other");
+const metricEndpoint = (job) => job.meta.route || "other";
+
+const jobsFinished = metrics.counter("print_jobs_total", "Print jobs that reached a final state", [
+  "type",
+  "endpoint",
+  "printer",
+  "result",
+]);
+const jobFailures = metrics.counter("print_job_failures_total", "Failed job attempts, including retried ones", [
+  "type",
+  "printer",
+  "code",
+]);
+const renderSeconds = metrics.histogram(
+  "print_render_duration_seconds",
+  "Time spent rendering a job (Puppeteer for html, label and raster jobs)",
+  ["type"]
+);
+const sendSeconds = metrics.histogram("print_send_duration_seconds", "Time spent spooling or sending a job to the printer", [
+  "type",
+  "printer",
+]);
+const lastSuccessAt = new Map();
+
+jobQueue.on("status", (job) => {
+  const printer = metricPrinter(job.meta.printer);
+  const timings = job.timings || {};
+  if (job.status === "sending" && timings.renderMs !== null && timings.renderMs !== undefined) {
+    renderSeconds.observe({ type: job.type }, timings.renderMs / 1000);
+  }
+  if (job.status === "done") {
+    if (typeof timings.sendMs === "number") sendSeconds.observe({ type: job.type, printer }, timings.sendMs / 1000);
+    lastSuccessAt.set(printer, Date.parse(job.finishedAt));
+  }
+  if (job.errorCode && (job.status === "queued" || job.status === "failed")) {
+    jobFailures.inc({ type: job.type, printer, code: job.errorCode });
+  }
+  if (jobQueue.isTerminal(job.status)) {
+    jobsFinished.inc({ type: job.type, endpoint: metricEndpoint(job), printer, result: job.status });
+  }
+});
+
+// Survives restarts: seeded from the persisted job records
+function seedLastSuccess() {
+  for (const job of jobQueue.list({ status: "done" }, { limit: Infinity }).jobs) {
+    const at = Date.parse(job.finishedAt);
+    const printer = metricPrinter(job.meta.printer);
+    if (!(lastSuccessAt.get(printer) >= at)) lastSuccessAt.set(printer, at);
+  }
+}
+
+metrics.gauge("print_queue_depth", "Jobs not yet finished, by status", ["status"], () => {
+  const counts = jobQueue.counts();
+  return ["queued", "rendering", "sending"].map((status) => ({ labels: { status }, value: counts[status] }));
+});
+metrics.gauge(
+  "print_last_success_timestamp_seconds",
+  "Unix time of the last successful job per printer",
+  ["printer"],
+  () => [...lastSuccessAt].map(([printer, ms]) => ({ labels: { printer }, value: ms / 1000 }))
+);
+metrics.gauge(
+  "print_seconds_since_last_success",
+  "Seconds since the last successful job per printer",
+  ["printer"],
+  () => [...lastSuccessAt].map(([printer, ms]) => ({ labels: { printer }, value: Math.round((Date.now() - ms) / 1000) }))
+);
+metrics.gauge("print_printer_online", "1 if the last status poll saw the printer online, 0 if not", ["printer"], () =>
+  printerMonitor
+    .snapshot()
+    .filter((status) => status.online !== null)
+    .map((status) => ({ labels: { printer: metricPrinter(status.printer) }, value: status.online ? 1 : 0 }))
+);
+metrics.gauge("print_browser_connected", "1 if the shared Chromium is running", [], () => [
+  { labels: {}, value: browserPool.stats().connected ? 1 : 0 },
+]);
+metrics.gauge("print_render_slots", "Puppeteer renders in progress and waiting", ["state"], () => {
+  const stats = browserPool.stats();
+  return [
+    { labels: { state: "active" }, value: stats.active },
+    { labels: { state: "waiting" }, value: stats.waiting },
+  ];
+});
+metrics.gauge("print_event_clients", "Connected /events clients", [], () => [{ labels: {}, value: events.stats().clients }]);
+
 // ---- Security (optional) ----
+// Enabled when API_KEY or config "clients" is set. Each client is limited to its
+// endpoints and printers; non-GET requests count against its per-minute rate limit.
 app.use((req, res, next) => {
-  if (!API_KEY) return next();
-  const key = req.get("x-api-key");
-  if (!key || key !== API_KEY) {
+  if (!auth.enabled) return next();
+  const client = req.client;
+  if (!client) {
+    if (req.path.startsWith("/admin")) res.set("WWW-Authenticate", 'Basic realm="print-server admin"');
     return res.status(401).json({ success: false, error: "Unauthorized" });
   }
+  if (!auth.allowsEndpoint(client, req.method, req.path)) {
+    logger.warn("CLIENT_FORBIDDEN", { id: req.id, client: client.name, method: req.method, path: req.path });
+    return res.status(403).json({ success: false, error: `Client ${client.name} may not call ${req.method} ${req.path}` });
+  }
+  if (req.method !== "GET") {
+    const retryAfter = auth.consume(client);
+    if (retryAfter) {
+      logger.warn("CLIENT_RATE_LIMITED", { id: req.id, client: client.name, limit: client.rateLimit });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ success: false, error: `Rate limit of ${client.rateLimit} requests per minute exceeded` });
+    }
+  }
   next();
 });
 
+// Admin-only routes: an API client with "admin": true (or the legacy API_KEY).
+// Without any keys configured these stay closed rather than open.
+function requireAdmin(req, res, next) {
+  if (auth.isAdmin(req.client)) return next();
+  logger.warn("ADMIN_FORBIDDEN", { id: req.id, client: req.client ? req.client.name : null, path: req.path });
+  res.status(403).json({ success: false, error: "This endpoint needs an admin API key" });
+}
+
+// Everything under /admin is admin-only. /admin/api/<path> is the regular API at /<path>,
+// so the dashboard can call it with the credentials the browser cached for /admin.
+app.use((req, res, next) => {
+  if (!req.path.startsWith("/admin")) return next();
+  requireAdmin(req, res, () => {
+    if (req.path.startsWith("/admin/api/")) req.url = req.url.slice("/admin/api".length);
+    next();
+  });
+});
+
 // ---- Health ----
 app.get("/", (req, res) => {
-  res.json({ ok: true, service: "print-server", time: now() });
+  res.json({ ok: true, service: "print-server", time: now(), browser: browserPool.stats(), events: events.stats() });
 });
 
 // ---- Enumerate printers (for PDF path) ----
+// aliases: logical names from PRINT_CONFIG with their targets in failover order
 app.get("/printers", async (req, res) => {
   try {
-    const printers = await enumeratePrinters();
-    const list = printers
-      .map((p) => {
-        if (!p) return null;
-        if (typeof p === "string") return p;
-        return p.name || p.deviceId || null;
-      })
-      .filter((name) => typeof name === "string" && name.length > 0);
-    res.json({ success: true, printers: list });
+    const list = await transport.listPrinters();
+    res.json({ success: true, backend: transport.name, printers: list, aliases: printerAliases(config) });
   } catch (e) {
     logger.error("PRINTERS_ERROR", { id: req.id || null, error: e.message, stack: e.stack });
     res.status(500).json({ success: false, error: e.message });
   }
 });
 
+// ---- Printer status ----
+// GET /printers/:name/status   (name URL-encoded, e.g. tcp%3A%2F%2F10.0.0.12%3A9100)
+// ESC/POS printers on tcp:// or /dev/usb/lp* answer DLE EOT; driver printers report via the spooler.
+// Response: { success, status: { online, paperLow, paperOut, coverOpen, error, jobCount, state, source, raw } }
+app.get("/printers/:name/status", async (req, res) => {
+  const printer = req.params.name;
+  if (!auth.allowsPrinter(req.client, printer)) {
+    return res.status(403).json({ success: false, error: `Client ${req.client.name} may not use ${printer}` });
+  }
+  try {
+    const timeoutMs = Math.min(Number(req.query.timeoutMs) || 1000, 10000);
+    const status = await transport.getStatus(printer, { timeoutMs });
+    logger.info("PRINTER_STATUS", { id: req.id, printer, state: status.state });
+    res.json({ success: true, status });
+  } catch (e) {
+    if (e.status === 400 || e.status === 404) {
+      return res.status(e.status).json(badRequestBody(e));
+    }
+    logger.error("PRINTER_STATUS_ERROR", { id: req.id, printer, error: e.message, stack: e.stack });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // ---- RAW (ESC/POS) ----
-// Body can include:
+// Strict mode (recommended), see lib/raw-payload.js:
+//  { printer, format: "base64" | "hex" | "text" | "bytes", data, charset? | codePage? }
+//  errors: 400 { success: false, code, field, error }
+// Legacy mode (no "format"): the payload is guessed from
 //  { rawBase64 | dataBase64 | raw | rawData | rawHex | rawBytes | bytes | commands | payload | text, printerShare | printer }
-// Optional: encoding: "base64" | "hex" | "utf8" | "text" | "binary"
+//  Optional: encoding: "base64" | "hex" | "utf8" | "text" | "binary"
+//  Optional: codePage (default: the printer's) for utf8/text payloads, see lib/codepages.js
+// printer may be a share/queue name, a device path, or a network printer "tcp://10.0.0.12:9100"
+function rawJob(body, query) {
+  if (isStrictRequest(body, query)) {
+    const parsed = parseStrictRaw(body, { defaultCodePage: printerSettings(config, body.printer).codePage });
+    return {
+      type: "raw",
+      payload: { printer: parsed.printer, dataBase64: parsed.buffer.toString("base64") },
+      label: "RAW",
+    };
+  }
+  const printer = resolvePrinterShare(body);
+  if (!printer) throw badRequest("printerShare (or printer/share/shareName) is required");
+  const codePage = body.codePage !== undefined ? body.codePage : printerSettings(config, printer).codePage;
+  if (codePage && !codepages.resolveCodePage(codePage)) {
+    throw badRequest(`codePage must be one of: ${codepages.codePageNames().join(", ")}`);
+  }
+  const buffer = resolveRawBuffer(body, codePage);
+  if (!buffer || !buffer.length) {
+    throw badRequest("Raw payload is required. Provide rawBase64, dataBase64, raw, rawHex, or rawBytes.");
+  }
+  return { type: "raw", payload: { printer, dataBase64: buffer.toString("base64") }, label: "RAW" };
+}
+
 app.post("/print-raw", async (req, res) => {
   try {
-    const shareCandidate = resolvePrinterShare(req.body);
-    if (!shareCandidate) {
-      return res.status(400).json({
-        success: false,
-        error: "printerShare (or printer/share/shareName) is required",
-      });
-    }
-    const buffer = resolveRawBuffer(req.body);
-    if (!buffer || !buffer.length) {
-      logger.warn("RAW_MISSING_PAYLOAD", {
+    const { type, payload, label } = rawJob(req.body, req.query);
+    await enqueueAndRespond(req, res, type, payload, label);
+  } catch (e) {
+    if (e.status === 400) {
+      logger.warn(e.code ? "RAW_INVALID" : "RAW_MISSING_PAYLOAD", {
         id: req.id,
+        code: e.code,
+        error: e.message,
         keys: Array.isArray(req.body) ? [] : Object.keys(req.body || {}),
       });
-      return res.status(400).json({
-        success: false,
-        error:
-          "Raw payload is required. Provide rawBase64, dataBase64, raw, rawHex, or rawBytes.",
-      });
+      return res.status(400).json(badRequestBody(e));
     }
-    const temp = writeTempFile(buffer, "bin");
-    const sharePath = buildSharePath(shareCandidate);
-    await copyBinaryToPrinter(temp, sharePath);
-    logger.info("RAW_OK", { id: req.id, sharePath });
-    res.json({ success: true, message: `Sent RAW to ${sharePath}` });
-  } catch (e) {
     logger.error("RAW_ERROR", { id: req.id, error: e.message, stack: e.stack });
     res.status(500).json({ success: false, error: e.message });
   }
 });
 
-// ---- LABEL (TSPL/ZPL/CPCL) ----
-// Body (choose one):
-//  { data: "TSPL/ZPL text", printerShare: "ShareName", newline?: true }
-//  { dataBase64: "...", printerShare: "ShareName" }
-// app.post("/print-label-v22", async (req, res) => {
-//   try {
-//     const { html } = req.body || {};
-//     const targetPrinter = resolvePrinterShare(req.body);
-
-//     if (!targetPrinter) {
-//       return res.status(400).json({
-//         success: false,
-//         error: "printer or printerShare is required",
-//       });
-//     }
-
-//     // HTML Printing Logic for Labels
-//     if (html) {
-//       let browser;
-//       try {
-//         const puppeteer = require("puppeteer");
-//         browser = await puppeteer.launch({
-//           headless: true,
-//           args: ["--no-sandbox", "--disable-setuid-sandbox"],
-//         });
-//         const page = await browser.newPage();
-
-//         // Set a viewport that matches the label size at 203dpi
-//         // 60mm * 8dpmm = 480px
-//         // 20mm * 8dpmm = 160px
-//         await page.setViewport({
-//             width: 480,
-//             height: 160,
-//             deviceScaleFactor: 1,
-//         });
-
-//         // Wrap the provided HTML in a container that enforces the size and clips overflow
-//         const styledHtml = `
-//             <style>
-//                 body { margin: 0; padding: 0; }
-//                 .label-container {
-//                     width: 60mm;
-//                     height: 20mm;
-//                     box-sizing: border-box;
-//                     overflow: hidden;
-//                 }
-//             </style>
-//             <div class="label-container">
-//                 ${html}
-//             </div>
-//         `;
-
-//         await page.setContent(styledHtml, { waitUntil: "networkidle0" });
-
-//         const pdfBuffer = await page.pdf({
-//           width: "60mm",
-//           height: "20mm",
-//           printBackground: true,
-//           margin: { top: "0px", right: "0px", bottom: "0px", left: "0px" },
-//         });
-
-//         const temp = writeTempFile(pdfBuffer, "pdf");
-//         await printPdfWithQuotedPrinterName(temp, {
-//           printer: targetPrinter,
-//           scale: "noscale",
-//         });
-//         fs.unlink(temp, () => {});
-//         logger.info("LABEL_HTML_OK", { id: req.id, printer: targetPrinter });
-//         return res.json({
-//           success: true,
-//           message: `Sent HTML LABEL to ${targetPrinter}`,
-//         });
-//       } catch (e) {
-//         logger.error("LABEL_HTML_ERROR", {
-//           id: req.id,
-//           error: e.message,
-//           stack: e.stack,
-//         });
-//         return res.status(500).json({ success: false, error: e.message });
-//       } finally {
-//         if (browser) await browser.close();
-//       }
-//     }
-
-//     // RAW Printing Logic for Labels
-//     const buffer = resolveRawBuffer(req.body);
-//     if (buffer && buffer.length > 0) {
-//       const sharePath = buildSharePath(targetPrinter);
-//       const temp = writeTempFile(buffer, "lbl");
-//       await copyBinaryToPrinter(temp, sharePath);
-//       logger.info("LABEL_RAW_OK", { id: req.id, sharePath });
-//       return res.json({
-//         success: true,
-//         message: `Sent RAW LABEL to ${sharePath}`,
-//       });
-//     }
-
-//     return res.status(400).json({
-//       success: false,
-//       error:
-//         "Payload is required. Provide 'html' for HTML content, or a raw data field (e.g., 'rawData', 'rawBase64') for RAW content.",
-//     });
-//   } catch (e) {
-//     logger.error("LABEL_ERROR", { id: req.id, error: e.message, stack: e.stack });
-//     res.status(500).json({ success: false, error: e.message });
-//   }
-// });
+// ---- RECEIPT (JSON -> ESC/POS) ----
+// Body: { printer, width?: "58mm" | "80mm", codePage?, blocks: [...] }
+// Block types: text, separator, row, feed, qr, barcode (Code128), cut — see lib/escpos.js
+// codePage defaults to the printer's configured codePage
+function receiptJob(body) {
+  const printer = resolvePrinterShare(body);
+  if (!printer) throw badRequest("printer (or printerShare) is required");
+  const buffer = compileReceipt(body, { width: RECEIPT_WIDTH, codePage: printerSettings(config, printer).codePage });
+  return { type: "raw", payload: { printer, dataBase64: buffer.toString("base64") }, label: "RECEIPT" };
+}
 
-app.post("/print-label", async (req, res) => {
+app.post("/print-receipt", async (req, res) => {
   try {
-    const { html } = req.body || {};
-    const targetPrinter = resolvePrinterShare(req.body);
-
-    if (!targetPrinter) {
-      return res.status(400).json({
-        success: false,
-        error: "printer or printerShare is required",
-      });
+    const { type, payload, label } = receiptJob(req.body);
+    await enqueueAndRespond(req, res, type, payload, label);
+  } catch (e) {
+    if (e.status === 400) {
+      logger.warn("RECEIPT_INVALID", { id: req.id, error: e.message });
+      return res.status(400).json({ success: false, error: e.message });
     }
+    logger.error("RECEIPT_ERROR", { id: req.id, error: e.message, stack: e.stack });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
 
-    if (html) {
-      let browser;
-      try {
-        const puppeteer = require("puppeteer");
-        browser = await puppeteer.launch({
-          headless: true,
-          args: ["--no-sandbox", "--disable-setuid-sandbox"],
-        });
-        const page = await browser.newPage();
-
-        // ukuran label 60mm × 20mm @ 203dpi (≈ 8 px/mm)
-        const LABEL_WIDTH_PX = 480;
-        const LABEL_HEIGHT_PX = 160;
-
-        await page.setViewport({
-          width: LABEL_WIDTH_PX,
-          height: LABEL_HEIGHT_PX,
-          deviceScaleFactor: 1,
-        });
-
-        // HTML dasar
-        const styledHtml = `
-          <style>
-            body { margin: 0; padding: 0; }
-            .label-container {
-              width: 60mm;
-              height: 22mm;
-              box-sizing: border-box;
-              overflow: visible;
-              transform-origin: top left;
-            }
-          </style>
-          <div class="label-container">
-            ${html}
-          </div>
-        `;
-
-        await page.setContent(styledHtml, { waitUntil: "networkidle0" });
-
-        // 🔹 ukur konten aktual dan sesuaikan skala agar muat ke area labelsssssss
-        await page.evaluate((LABEL_WIDTH_PX, LABEL_HEIGHT_PX) => {
-          const container = document.querySelector(".label-container");
-          const contentWidth = container.scrollWidth;
-          const contentHeight = container.scrollHeight;
-
-          // rasio skala agar muat seluruhnya
-          const scaleX = LABEL_WIDTH_PX / contentWidth;
-          const scaleY = LABEL_HEIGHT_PX / contentHeight;
-          const scale = Math.min(scaleX, scaleY, 1); // jangan membesar, hanya mengecil
-
-          container.style.transform = `scale(${scale})`;
-        }, LABEL_WIDTH_PX, LABEL_HEIGHT_PX);
-
-        // hasilkan PDF
-        const pdfBuffer = await page.pdf({
-          width: "60mm",
-          height: "22mm",
-          printBackground: true,
-          padding: { top: "0px", right: "0px", bottom: "0px", left: "200px" },
-        });
-
-        const pdfPath = path.join(CETAK_DIR, LABEL_PDF_FILENAME);
-        fs.writeFileSync(pdfPath, pdfBuffer);
-
-        await printPdfWithQuotedPrinterName(pdfPath, {
-          printer: targetPrinter,
-          scale: "noscale",
-          orientation: "landscape",
-          copies: 3,
-        });
-        // fs.unlink(temp, () => {}); // File PDF disimpan, tidak dihapus
-        logger.info("LABEL_HTML_OK", {
-          id: req.id,
-          printer: targetPrinter,
-          path: pdfPath,
-        });
-
-        return res.json({
-          success: true,
-          message: `Sent scaled HTML LABEL to ${targetPrinter} and saved to ${pdfPath}`,
-          path: pdfPath,
-        });
-      } catch (e) {
-        logger.error("LABEL_HTML_ERROR", {
-          id: req.id,
-          error: e.message,
-          stack: e.stack,
-        });
-        return res.status(500).json({ success: false, error: e.message });
-      } finally {
-        if (browser) await browser.close();
+// ---- Device commands (cash drawer, buzzer, feed, cut) ----
+// POST /printers/:name/drawer   { pin?: 2 | 5, onMs?: 100, offMs?: 200 }
+// POST /printers/:name/buzzer   { times?: 1-9, durationMs?: 100-900 }
+// POST /printers/:name/feed     { lines?: 1 }
+// POST /printers/:name/cut      { partial?: false, feed?: 3 }
+// Queued as RAW jobs, so they reach the printer in order with prints and over the
+// same transports (aliases, tcp://, spooler). Accepts wait, dryRun and Idempotency-Key.
+// They run at most once (no retry, no reprint): a drawer that opens late is worse than
+// one that does not open.
+const DEVICE_COMMANDS = {
+  drawer: { label: "DRAWER", build: (body) => drawerPulse(body) },
+  buzzer: { label: "BUZZER", build: (body) => buzzer(body) },
+  feed: { label: "FEED", build: (body) => feedLines(body.lines) },
+  cut: { label: "CUT", build: (body) => cutPaper(body) },
+};
+
+for (const [command, { label, build }] of Object.entries(DEVICE_COMMANDS)) {
+  app.post(`/printers/:name/${command}`, async (req, res) => {
+    const printer = req.params.name;
+    try {
+      const buffer = build(req.body || {});
+      const payload = { printer, dataBase64: buffer.toString("base64") };
+      await enqueueAndRespond(req, res, "raw", payload, label, { deviceCommand: command }, { maxAttempts: 1 });
+    } catch (e) {
+      if (e.status === 400) {
+        logger.warn(`${label}_INVALID`, { id: req.id, printer, error: e.message });
+        return res.status(400).json({ success: false, error: e.message });
       }
+      logger.error(`${label}_ERROR`, { id: req.id, printer, error: e.message, stack: e.stack });
+      res.status(500).json({ success: false, error: e.message });
     }
+  });
+}
 
-    return res.status(400).json({
-      success: false,
-      error: "Payload is required. Provide 'html' for HTML content.",
-    });
+// ---- Media profiles ----
+// Label profile: body.media, else the printer's `media` setting, else defaultLabelMedia.
+// Profile fields in the body (width, height, dpi, orientation, margin, copies, fit) override it.
+function resolveLabelMedia(body, printer) {
+  return media.resolveLabel({
+    name: body.media,
+    printerSettings: printerSettings(config, printer),
+    overrides: body,
+  });
+}
+
+// HTML jobs keep the legacy width/heightPx behaviour unless a media profile applies.
+// body.printOptions (paper, duplex, pages, ...) go to the driver and win over the profile.
+function buildHtmlPayload(body, html, printer, defaultWidth) {
+  const { heightPx } = body;
+  const printOptions = parsePrintOptions(body.printOptions);
+  const profile = media.resolve({
+    name: body.media,
+    printerSettings: printerSettings(config, printer),
+    overrides: body,
+  });
+  if (!profile) {
+    return { html, printer, width: body.width || defaultWidth, heightPx, printOptions };
+  }
+  return {
+    html,
+    printer,
+    width: `${profile.width}mm`,
+    heightPx: heightPx || (profile.height ? `${profile.height}mm` : undefined),
+    margin: profile.margin,
+    orientation: profile.orientation,
+    copies: profile.copies,
+    media: profile.name,
+    printOptions,
+  };
+}
+
+function buildRasterPayload(body, html, printer, defaultWidth) {
+  const dots = body.dots !== undefined ? Number(body.dots) : dotsForWidth(body.width || defaultWidth);
+  if (!Number.isInteger(dots) || dots < 8 || dots > 2048 || dots % 8 !== 0) {
+    throw badRequest("dots must be a multiple of 8 (e.g. 384 for 58mm, 576 for 80mm); width is not a known roll width");
+  }
+  const threshold = body.threshold === undefined ? 128 : Number(body.threshold);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > 254) {
+    throw badRequest("threshold must be an integer between 1 and 254");
+  }
+  return { html, printer, dots, threshold, dither: body.dither !== false, cut: body.cut !== false };
+}
+
+app.get("/media", (req, res) => {
+  res.json({ success: true, defaultLabelMedia: config.defaultLabelMedia || "label-60x22", media: media.list() });
+});
+
+// ---- LABEL (HTML or JSON layout -> TSPL/ZPL) ----
+// Body (choose one):
+//  { html: "<div>...</div>", printer, media?: "profile-name", ...profile overrides }
+//      -> rendered by Chromium and printed through the driver
+//  { layout: { elements: [...] }, printer, language?: "tspl" | "zpl", media?, copies? }
+//      -> compiled to TSPL/ZPL (see lib/label-lang.js) and sent RAW; language defaults to the printer's setting
+function labelJob(body) {
+  const { html, layout } = body || {};
+  const targetPrinter = resolvePrinterShare(body);
+  if (!targetPrinter) throw badRequest("printer or printerShare is required");
+
+  if (layout) {
+    const profile = resolveLabelMedia(body, targetPrinter);
+    const language = body.language || printerSettings(config, targetPrinter).language;
+    const buffer = compileLabel(layout, { language, media: profile });
+    return {
+      type: "raw",
+      payload: { printer: targetPrinter, dataBase64: buffer.toString("base64"), language: String(language).toLowerCase() },
+      label: `${String(language).toUpperCase()} LABEL`,
+    };
+  }
+  if (html) {
+    const profile = resolveLabelMedia(body, targetPrinter);
+    return { type: "label", payload: { html, printer: targetPrinter, media: profile }, label: "HTML LABEL" };
+  }
+  throw badRequest("Payload is required. Provide 'html' for HTML content or 'layout' for a TSPL/ZPL label.");
+}
+
+app.post("/print-label", async (req, res) => {
+  try {
+    const { type, payload, label } = labelJob(req.body);
+    await enqueueAndRespond(req, res, type, payload, label);
   } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
     logger.error("LABEL_ERROR", { id: req.id, error: e.message, stack: e.stack });
     res.status(500).json({ success: false, error: e.message });
   }
 });
 
 
-// ---- PDF (base64) -> silent print via driver ----
-// Body: { pdfBase64: string, printer: string }
+// ---- PDF -> silent print via driver ----
+// JSON body: { pdfBase64: string, printer: string, printOptions?: { paper, tray, pages, duplex, fit, monochrome, copies, orientation } }
+// or multipart/form-data: file=<pdf>, printer=..., and printOptions as a JSON field or as
+// separate fields (paper=A4, duplex=long, ...). See lib/print-options.js.
+const pdfUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024, files: 1 } }).single("file");
+
+function parsePdfUpload(req, res) {
+  if (!req.is("multipart/form-data")) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    pdfUpload(req, res, (err) => {
+      if (!err) return resolve();
+      const wrapped = new Error(err.code === "LIMIT_FILE_SIZE" ? "file is larger than 50mb" : `Invalid upload: ${err.message}`);
+      wrapped.status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      reject(wrapped);
+    });
+  });
+}
+
+function uploadedPrintOptions(body) {
+  if (body.printOptions !== undefined) return body.printOptions;
+  const flat = {};
+  for (const field of PRINT_OPTION_FIELDS) {
+    if (body[field] !== undefined && body[field] !== "") flat[field] = body[field];
+  }
+  return flat;
+}
+
+// file: the multipart upload, if any
+function pdfJob(body, file) {
+  body = body || {};
+  const printer = typeof body.printer === "string" ? body.printer.trim() : "";
+  let pdfBase64 = body.pdfBase64;
+  let printOptions;
+  if (file) {
+    if (file.buffer.subarray(0, 5).toString("latin1") !== "%PDF-") throw badRequest("file is not a PDF");
+    pdfBase64 = file.buffer.toString("base64");
+    printOptions = parsePrintOptions(uploadedPrintOptions(body));
+  } else {
+    printOptions = parsePrintOptions(body.printOptions);
+  }
+  if (!pdfBase64 || !printer) throw badRequest("pdfBase64 (or a multipart file) and printer are required");
+  return { type: "pdf", payload: { pdfBase64, printer, printOptions }, label: "PDF" };
+}
+
 app.post("/print-pdf", async (req, res) => {
   try {
-    const { pdfBase64, printer } = req.body || {};
-    if (!pdfBase64 || !printer) {
-      return res
-        .status(400)
-        .json({ success: false, error: "pdfBase64 and printer are required" });
-    }
-    const buffer = Buffer.from(pdfBase64, "base64");
-    await printPdfWithQuotedPrinterName(temp, { printer, scale: "noscale" });
-    fs.unlink(temp, () => {});
-    logger.info("PDF_OK", { id: req.id, printer });
-    res.json({ success: true, message: `Sent PDF to ${printer}` });
+    await parsePdfUpload(req, res);
+    const { type, payload, label } = pdfJob(req.body, req.file);
+    await enqueueAndRespond(req, res, type, payload, label);
   } catch (e) {
+    if (e.status === 400 || e.status === 413) {
+      return res.status(e.status).json({ success: false, error: e.message });
+    }
     logger.error("PDF_ERROR", { id: req.id, error: e.message, stack: e.stack });
     res.status(500).json({ success: false, error: e.message });
   }
 });
 
 // ---- HTML -> PDF -> silent print ----
-// Body: { html: string, printer: string, width?: "80mm", heightPx?: number }
+// Body: { html: string, printer: string, width?: "80mm", heightPx?: number, media?: "profile-name", copies?, printOptions? }
+// printOptions (paper, tray, pages, duplex, fit, monochrome, copies, orientation) go to the driver, see lib/print-options.js
+// With mode: "raster" the HTML is rendered to a dithered bitmap and sent RAW as ESC/POS `GS v 0`,
+// so no driver is needed: { html, printer, mode: "raster", dots?: 384 | 576, dither?: true, threshold?: 128, cut?: true }
+function htmlJob(body) {
+  const { html, printer } = body || {};
+  if (!html || !printer) throw badRequest("html and printer are required");
+  if (body.mode === "raster") {
+    return { type: "raster", payload: buildRasterPayload(body, html, printer, DEFAULT_WIDTH), label: "HTML RASTER" };
+  }
+  return { type: "html", payload: buildHtmlPayload(body, html, printer, DEFAULT_WIDTH), label: "HTML" };
+}
+
 app.post("/print-html", async (req, res) => {
-  const { html, printer, width = DEFAULT_WIDTH, heightPx } = req.body || {};
-  if (!html || !printer) {
-    return res.status(400).json({ success: false, error: "html and printer are required" });
+  try {
+    const { type, payload, label } = htmlJob(req.body);
+    await enqueueAndRespond(req, res, type, payload, label);
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    logger.error("HTML_ERROR", { id: req.id, error: e.message, stack: e.stack });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ---- Template -> HTML -> PDF -> silent print ----
+// Body: { template: "antrian" | "sep" | "label-pasien" | ..., data: {...}, printer: string, width?, heightPx?, media?, mode? }
+// The template's `print` directive decides between the /print-html and /print-label paths.
+const templates = createTemplateStore({ dir: TEMPLATES_DIR });
+
+app.get("/templates", (req, res) => {
+  res.json({ success: true, templates: templates.list() });
+});
+
+function templateJob(body) {
+  const { template, data } = body || {};
+  const printer = resolvePrinterShare(body);
+  if (!template || !printer) throw badRequest("template and printer are required");
+  if (data !== undefined && (data === null || typeof data !== "object")) throw badRequest("data must be an object");
+  const rendered = templates.render(template, data);
+  const label = `TEMPLATE ${template}`;
+  if (rendered.kind === "label") {
+    const profile = resolveLabelMedia(body, printer);
+    return { type: "label", payload: { html: rendered.html, printer, media: profile }, label };
+  }
+  if (body.mode === "raster") {
+    return { type: "raster", payload: buildRasterPayload(body, rendered.html, printer, rendered.width || DEFAULT_WIDTH), label };
   }
-  let browser;
+  return { type: "html", payload: buildHtmlPayload(body, rendered.html, printer, rendered.width || DEFAULT_WIDTH), label };
+}
+
+app.post("/print-template", async (req, res) => {
+  const template = req.body && req.body.template;
   try {
-    const puppeteer = require("puppeteer");
-    browser = await puppeteer.launch({
-      headless: true,
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    const { type, payload, label } = templateJob(req.body);
+    await enqueueAndRespond(req, res, type, payload, label);
+  } catch (e) {
+    if (e.status === 400 || e.status === 404) {
+      logger.warn("TEMPLATE_INVALID", { id: req.id, template, error: e.message });
+      return res.status(e.status).json({ success: false, error: e.message });
+    }
+    logger.error("TEMPLATE_ERROR", { id: req.id, template, error: e.message, stack: e.stack });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ---- Batch ----
+// POST /print-batch
+// Body: {
+//   items: [{ type: "raw" | "receipt" | "label" | "pdf" | "html" | "template", ...body of /print-<type> }],
+//   stopOnError?: false,
+//   wait?: false
+// }
+// Every item is validated before anything is queued: one invalid item rejects the whole
+// batch (400 with its index). Items are queued in order. With stopOnError each item is
+// awaited before the next one is queued, and the items after a failure are "skipped"
+// (an item still waiting for a retry when the wait runs out is cancelled, not left queued);
+// otherwise all items are queued at once (and awaited with ?wait=1).
+// Response: { success, batchId, items: [{ index, type, printer, jobId, status, error?, ...result }] }
+// HTTP 200 when every item printed, 500 when any failed or was skipped, 202 otherwise.
+const BATCH_BUILDERS = {
+  raw: (body) => rawJob(body, {}),
+  receipt: receiptJob,
+  label: labelJob,
+  pdf: (body) => pdfJob(body),
+  html: htmlJob,
+  template: templateJob,
+};
+const BATCH_MAX_ITEMS = 20;
+
+function batchItemResult(base, job) {
+  const result = { ...base, jobId: job.id, status: job.status };
+  if (job.error) result.error = job.error;
+  if (job.status === "done") Object.assign(result, job.result);
+  return result;
+}
+
+app.post("/print-batch", async (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.items) || !body.items.length) {
+    return res.status(400).json({ success: false, error: "items must be a non-empty array" });
+  }
+  if (body.items.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({ success: false, error: `A batch holds at most ${BATCH_MAX_ITEMS} items` });
+  }
+  if (isDryRun(req)) {
+    return res.status(400).json({ success: false, error: "dryRun is not supported for batches; preview items one by one" });
+  }
+  const stopOnError = body.stopOnError === true || body.stopOnError === "true";
+
+  const planned = [];
+  for (const [index, item] of body.items.entries()) {
+    const type = item && typeof item === "object" ? item.type : undefined;
+    try {
+      if (!Object.hasOwn(BATCH_BUILDERS, type)) {
+        throw badRequest(`type must be one of: ${Object.keys(BATCH_BUILDERS).join(", ")}`);
+      }
+      if (req.client && !auth.allowsEndpoint(req.client, "POST", `/print-${type}`)) {
+        logger.warn("CLIENT_ENDPOINT_FORBIDDEN", { id: req.id, client: req.client.name, path: `/print-${type}`, batchIndex: index });
+        return res.status(403).json({ success: false, index, error: `items[${index}]: Client ${req.client.name} may not use /print-${type}` });
+      }
+      // "type" is the batch's own field; the legacy RAW heuristics would take it for the payload
+      const itemBody = { ...item };
+      delete itemBody.type;
+      const job = BATCH_BUILDERS[type](itemBody);
+      if (!auth.allowsPrinter(req.client, job.payload.printer)) {
+        logger.warn("CLIENT_PRINTER_FORBIDDEN", { id: req.id, client: req.client.name, printer: job.payload.printer, batchIndex: index });
+        return res.status(403).json({ success: false, index, error: `items[${index}]: Client ${req.client.name} may not print to ${job.payload.printer}` });
+      }
+      transport.validateTarget(job.payload.printer, outputKind(job.type, job.payload));
+      planned.push({ ...job, itemType: type });
+    } catch (e) {
+      if (e.status === 400 || e.status === 404) {
+        logger.warn("BATCH_INVALID", { id: req.id, index, type, code: e.code, error: e.message });
+        return res.status(e.status).json({ ...badRequestBody(e), index, error: `items[${index}]: ${e.message}` });
+      }
+      logger.error("BATCH_ERROR", { id: req.id, index, type, error: e.message, stack: e.stack });
+      return res.status(500).json({ success: false, index, error: e.message });
+    }
+  }
+
+  let claim;
+  try {
+    claim = claimIdempotencyKey(req);
+  } catch (e) {
+    if (rejectIdempotencyError(req, res, e)) return;
+    logger.error("BATCH_ERROR", { id: req.id, error: e.message, stack: e.stack });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+  try {
+    if (claim && claim.replay) {
+      res.set("Idempotent-Replayed", "true");
+      return await replayBatch(req, res, claim.replay);
+    }
+    await queueBatch(req, res, planned, stopOnError, claim);
+  } catch (e) {
+    logger.error("BATCH_ERROR", { id: req.id, error: e.message, stack: e.stack });
+    if (claim && claim.record) {
+      // Nothing queued yet: the key may be used again; otherwise a replay shows what was queued
+      if (!claim.record.jobIds || !claim.record.jobIds.some(Boolean)) {
+        idempotency.release(claim.record);
+      } else {
+        claim.record.finished = true;
+        idempotency.update(claim.record);
+      }
+    }
+    if (!res.headersSent) res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Waits for a stopOnError item until it is done or failed. A job still queued for a
+// retry when the wait runs out is cancelled, so it cannot print after the batch stopped;
+// one that is being rendered or sent right now is waited for again.
+async function settleBatchJob(job) {
+  let current = await jobQueue.waitFor(job.id, JOB_WAIT_TIMEOUT_MS);
+  while (current && !jobQueue.isTerminal(current.status)) {
+    const cancelled = jobQueue.cancel(current.id, `Cancelled: not finished within ${JOB_WAIT_TIMEOUT_MS}ms, batch stopped`);
+    current = cancelled || (await jobQueue.waitFor(current.id, JOB_WAIT_TIMEOUT_MS));
+  }
+  return current || job;
+}
+
+async function queueBatch(req, res, planned, stopOnError, claim) {
+  const batchId = randomUUID();
+  logger.info("BATCH_QUEUED", { id: req.id, batchId, items: planned.length, stopOnError });
+  if (claim) {
+    Object.assign(claim.record, {
+      batchId,
+      stopOnError,
+      items: planned.map(({ itemType, payload }) => ({ type: itemType, printer: payload.printer })),
+      jobIds: planned.map(() => null),
+      finished: false,
     });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "networkidle0" });
+    idempotency.update(claim.record);
+  }
+  const items = [];
+  let stopped = false;
+  for (const [index, { type, payload, itemType }] of planned.entries()) {
+    const base = { index, type: itemType, printer: payload.printer };
+    if (stopped) {
+      items.push({ ...base, status: "skipped" });
+      continue;
+    }
+    const job = enqueueJob(req, type, payload, { batchId, batchIndex: index });
+    if (claim) {
+      claim.record.jobIds[index] = job.id;
+      idempotency.update(claim.record);
+    }
+    if (!stopOnError) {
+      items.push(batchItemResult(base, job));
+      continue;
+    }
+    const finished = await settleBatchJob(job);
+    items.push(batchItemResult(base, finished));
+    if (finished.status !== "done") stopped = true;
+  }
+  if (claim) {
+    claim.record.finished = true;
+    idempotency.update(claim.record);
+  }
+  await respondWithBatch(req, res, batchId, stopOnError, items);
+}
 
-    let finalHeight = heightPx;
-    if (!finalHeight) {
-      finalHeight = await page.evaluate(() => {
-        const el = document.querySelector(".page") || document.body;
-        return Math.ceil(el.scrollHeight);
+// Current state of a batch recorded under an Idempotency-Key. Items not queued yet are
+// "pending" while the first request is still running, "skipped" after it stopped.
+function replayBatch(req, res, record) {
+  const items = record.items.map((item, index) => {
+    const base = { index, ...item };
+    const job = record.jobIds[index] && jobQueue.get(record.jobIds[index]);
+    if (job) return batchItemResult(base, job);
+    return { ...base, status: record.finished ? "skipped" : "pending" };
+  });
+  return respondWithBatch(req, res, record.batchId, record.stopOnError, items);
+}
+
+async function respondWithBatch(req, res, batchId, stopOnError, items) {
+  if (!stopOnError && wantsToWait(req)) {
+    items = await Promise.all(
+      items.map(async (item) =>
+        item.jobId ? batchItemResult(item, await jobQueue.waitFor(item.jobId, JOB_WAIT_TIMEOUT_MS)) : item
+      )
+    );
+  }
+  const failed = items.some((item) => item.status === "failed" || item.status === "skipped");
+  const done = items.every((item) => item.status === "done");
+  if (failed) logger.warn("BATCH_INCOMPLETE", { id: req.id, batchId, statuses: items.map((item) => item.status) });
+  res.status(failed ? 500 : done ? 200 : 202).json({ success: !failed, batchId, stopOnError, items });
+}
+
+// ---- Metrics (Prometheus) ----
+// GET /metrics   text/plain; version=0.0.4
+// Scrapers can authenticate with "Authorization: Bearer <key>"
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// ---- Event stream ----
+// GET /events?jobId=&printer=&topics=job,printer   (text/event-stream, use EventSource)
+// Events: job.queued | job.started | job.sending | job.retrying | job.completed | job.failed
+//         printer.online | printer.offline | printer.status (other state changes, e.g. paper-out)
+// On connect the client gets the current state of the watched job and of every polled
+// printer, so a kiosk that subscribes after POST /print-html never misses the result.
+app.get("/events", (req, res) => {
+  const topics = req.query.topics
+    ? String(req.query.topics).split(",").map((t) => t.trim()).filter(Boolean)
+    : null;
+  const filter = {
+    topics,
+    jobId: req.query.jobId ? String(req.query.jobId) : null,
+    printer: req.query.printer ? String(req.query.printer) : null,
+  };
+  const snapshot = printerMonitor.snapshot().map((status) => ({ event: "printer.status", data: status }));
+  if (filter.jobId) {
+    const job = jobQueue.get(filter.jobId);
+    if (!job || !canSeeJob(req.client, job)) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    snapshot.push(jobEvent(job));
+  }
+  logger.info("EVENTS_CONNECTED", { id: req.id, ...filter });
+  events.attach(req, res, {
+    id: req.id,
+    filter,
+    snapshot,
+    allowsPrinter: (printer, event) => allowsPrinterEvent(req.client, printer, event),
+  });
+});
+
+// Printer status events name the physical printer, so a client allowed an alias
+// also hears about the targets of that alias
+function allowsPrinterEvent(client, printer, event) {
+  if (auth.allowsPrinter(client, printer)) return true;
+  if (!event.startsWith("printer.")) return false;
+  return Object.entries(printerAliases(config)).some(
+    ([alias, targets]) => targets.includes(printer) && auth.allowsPrinter(client, alias)
+  );
+}
+
+// ---- Job history ----
+// GET /jobs?status=&type=&printer=&endpoint=&client=&from=&to=&limit=50&offset=0
+// from/to: ISO date or date-time (a plain date for `to` covers the whole day). Newest first.
+// Response: { success, total, limit, offset, jobs: [{ id, type, status, meta, createdAt, result, ... }] }
+// A client with a printer allowlist only sees jobs for those printers (here, in
+// GET /jobs/:id and in /events); other jobs answer 404 as if they did not exist.
+function canSeeJob(client, job) {
+  return auth.allowsPrinter(client, job.meta.printer);
+}
+
+function parseDateFilter(value, field, endOfDay) {
+  if (value === undefined || value === "") return null;
+  const text = String(value);
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(ms)) {
+    throw badRequest(`${field} must be an ISO date`);
+  }
+  return new Date(ms).toISOString();
+}
+
+app.get("/jobs", (req, res) => {
+  const q = req.query;
+  const limit = Math.min(Math.max(Number(q.limit) || 50, 1), 500);
+  const offset = Math.max(Number(q.offset) || 0, 0);
+  let filter;
+  try {
+    filter = {
+      status: q.status,
+      type: q.type,
+      printer: q.printer,
+      endpoint: q.endpoint,
+      client: q.client,
+      from: parseDateFilter(q.from, "from", false),
+      to: parseDateFilter(q.to, "to", true),
+    };
+  } catch (e) {
+    return res.status(400).json({ success: false, error: e.message });
+  }
+  const { total, jobs } = jobQueue.list(filter, { limit, offset, visible: (job) => canSeeJob(req.client, job) });
+  res.json({ success: true, total, limit, offset, jobs });
+});
+
+// ---- Admin dashboard ----
+// GET /admin   printers with status and test pages, recent jobs with reprint, recent
+// errors and the effective configuration. The browser asks for the admin key (Basic auth,
+// any user name); the page then talks to /admin/api/* and /admin/*.
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
+});
+
+// Effective configuration with credentials masked
+app.get("/admin/config", (req, res) => {
+  res.json({
+    success: true,
+    file: config.file,
+    backend: transport.name,
+    env: maskSecrets({
+      PORT,
+      CORS_ORIGIN: ORIGIN,
+      API_KEY: API_KEY,
+      THERMAL_WIDTH: DEFAULT_WIDTH,
+      LOG_DIR,
+      CETAK_DIR,
+      CAPTURE_DIR,
+      JOBS_DIR,
+      TEMPLATES_DIR,
+      JOB_MAX_ATTEMPTS,
+      JOB_RETRY_DELAY_MS,
+      JOB_WAIT_TIMEOUT_MS,
+      IDEMPOTENCY_WINDOW_MS,
+      RENDER_CONCURRENCY,
+      PRINTER_POLL_INTERVAL_MS,
+      ARCHIVE_RETENTION_DAYS,
+    }),
+    config: maskSecrets({ ...config, file: undefined }),
+    media: media.list(),
+    aliases: printerAliases(config),
+    clients: auth.clients,
+  });
+});
+
+// POST /admin/test-print   { printer, kind: "raw" | "html" | "label" }
+// raw: ESC/POS receipt; html: A4/roll page through the driver; label: TSPL/ZPL when the
+// printer has a label language configured, otherwise an HTML label on its media
+app.post("/admin/test-print", async (req, res) => {
+  const { printer, kind } = req.body || {};
+  if (!printer) {
+    return res.status(400).json({ success: false, error: "printer is required" });
+  }
+  const info = { printer, host: os.hostname(), time: now(), backend: transport.name };
+  try {
+    if (kind === "raw") {
+      const buffer = compileReceipt(testReceipt(info), {
+        width: RECEIPT_WIDTH,
+        codePage: printerSettings(config, printer).codePage,
       });
-      if (!finalHeight || finalHeight < 100) finalHeight = 800;
+      return await enqueueAndRespond(req, res, "raw", { printer, dataBase64: buffer.toString("base64") }, "test RAW");
+    }
+    if (kind === "html") {
+      return await enqueueAndRespond(req, res, "html", buildHtmlPayload({}, testHtml(info), printer, DEFAULT_WIDTH), "test HTML");
     }
+    if (kind === "label") {
+      const profile = resolveLabelMedia({ copies: 1 }, printer);
+      const language = printerSettings(config, printer).language;
+      if (language) {
+        const buffer = compileLabel(testLabelLayout(info, profile), { language, media: profile });
+        return await enqueueAndRespond(
+          req,
+          res,
+          "raw",
+          { printer, dataBase64: buffer.toString("base64"), language: String(language).toLowerCase() },
+          "test LABEL"
+        );
+      }
+      return await enqueueAndRespond(req, res, "label", { html: testLabelHtml(info), printer, media: profile }, "test LABEL");
+    }
+    return res.status(400).json({ success: false, error: 'kind must be "raw", "html" or "label"' });
+  } catch (e) {
+    if (e.status === 400) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    logger.error("TEST_PRINT_ERROR", { id: req.id, printer, kind, error: e.message, stack: e.stack });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
 
-    const pdfBuffer = await page.pdf({
-      width,
-      height: `${finalHeight}px`,
-      printBackground: true,
-      margin: { top: "0px", right: "0px", bottom: "0px", left: "0px" },
-    });
+// ---- Log query (admin) ----
+// GET /logs?from=&to=&level=error,warn&event=RAW_ERROR,LABEL_HTML_OK&requestId=&jobId=&q=&limit=100&offset=0
+// Reads LOG_DIR including size-rotated and gzipped files. Newest first.
+// Response: { success, entries: [...], limit, offset, hasMore, files: [names scanned] }
+function listParam(value) {
+  if (value === undefined || value === "") return null;
+  return String(value).split(",").map((v) => v.trim()).filter(Boolean);
+}
 
-    const pdfPath = path.join(CETAK_DIR, HTML_PDF_FILENAME);
-    fs.writeFileSync(pdfPath, pdfBuffer);
-    await printPdfWithQuotedPrinterName(pdfPath, { printer, scale: "noscale" });
-    logger.info("HTML_OK", { id: req.id, printer, width, heightPx: finalHeight, path: pdfPath });
-    res.json({
-      success: true,
-      message: `Sent HTML as PDF to ${printer} and saved to ${pdfPath}`,
-      path: pdfPath,
-    });
+app.get("/logs", requireAdmin, async (req, res) => {
+  const q = req.query;
+  const limit = Math.min(Math.max(Number(q.limit) || 100, 1), 1000);
+  const offset = Math.max(Number(q.offset) || 0, 0);
+  let filter;
+  try {
+    filter = {
+      from: parseDateFilter(q.from, "from", false),
+      to: parseDateFilter(q.to, "to", true),
+      levels: listParam(q.level),
+      events: listParam(q.event),
+      requestId: q.requestId ? String(q.requestId) : null,
+      jobId: q.jobId ? String(q.jobId) : null,
+      text: q.q ? String(q.q) : null,
+    };
   } catch (e) {
-    logger.error("HTML_ERROR", { id: req.id, error: e.message, stack: e.stack });
+    return res.status(400).json({ success: false, error: e.message });
+  }
+  try {
+    const result = await queryLogs(LOG_DIR, filter, { limit, offset });
+    res.json({ success: true, limit, offset, ...result });
+  } catch (e) {
+    logger.error("LOGS_QUERY_ERROR", { id: req.id, error: e.message, stack: e.stack });
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// ---- Job status ----
+// Response: { success, job: { id, type, status, attempts, maxAttempts, error, result, history, ... } }
+// status: queued | rendering | sending | done | failed
+app.get("/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canSeeJob(req.client, job)) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  res.json({ success: true, job });
+});
+
+// ---- Captures (PRINT_BACKEND=virtual) ----
+// GET /captures?limit=50       -> newest captures first, with their file names
+// GET /captures/:file          -> one captured file (.bin, .txt, .png, .pdf, .json)
+function requireVirtual(req, res, next) {
+  if (physicalTransport.listCaptures) return next();
+  res.status(404).json({ success: false, error: "Captures are only available with PRINT_BACKEND=virtual" });
+}
+
+app.get("/captures", requireVirtual, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  res.json({ success: true, dir: CAPTURE_DIR, captures: physicalTransport.listCaptures(limit) });
+});
+
+app.get("/captures/:file", requireVirtual, (req, res) => {
+  const file = path.basename(req.params.file);
+  const full = path.join(CAPTURE_DIR, file);
+  if (file !== req.params.file || !fs.existsSync(full)) {
+    return res.status(404).json({ success: false, error: "Capture not found" });
+  }
+  if (file.endsWith(".txt")) res.type("text/plain; charset=utf-8");
+  res.sendFile(full);
+});
+
+// ---- Reprint ----
+// POST /jobs/:id/reprint   body (optional): { printer, copies, wait, dryRun }
+// Sends the archived output of a finished job again, as-is. Jobs without archived
+// output (failed before sending, or archived before retention removed it) are run
+// again from their original payload instead.
+// The stored payload of a job with `copies` applied, for a reprint that runs the job again
+function payloadWithCopies(type, payload, copies) {
+  if (copies === null) return payload;
+  switch (type) {
+    case "raw": {
+      const buffer = Buffer.from(payload.dataBase64, "base64");
+      return { ...payload, dataBase64: Buffer.concat(Array(copies).fill(buffer)).toString("base64") };
+    }
+    case "pdf":
+    case "html":
+      return { ...payload, printOptions: { ...payload.printOptions, copies } };
+    case "label":
+      return { ...payload, media: { ...(payload.media || media.resolveLabel({})), copies } };
+    default:
+      throw badRequest(`copies is not supported when reprinting a ${type} job without archived output`);
+  }
+}
+
+app.post("/jobs/:id/reprint", async (req, res) => {
+  const source = jobQueue.get(req.params.id);
+  if (!source || !canSeeJob(req.client, source)) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  if (!jobQueue.isTerminal(source.status)) {
+    return res.status(409).json({ success: false, error: `Job is still ${source.status}` });
+  }
+  if (source.meta.deviceCommand) {
+    return res.status(400).json({ success: false, error: `${source.meta.deviceCommand} commands cannot be reprinted` });
+  }
+  const body = req.body || {};
+  const copies = body.copies === undefined || body.copies === null ? null : Number(body.copies);
+  if (copies !== null && !(Number.isInteger(copies) && copies >= 1 && copies <= 99)) {
+    return res.status(400).json({ success: false, error: "copies must be an integer between 1 and 99" });
+  }
+  try {
+    const original = jobQueue.payloadOf(source.id);
+    const printer = body.printer ? String(body.printer) : original.printer;
+    const archived = source.result && source.result.archive;
+    if (archived && archive.resolve(archived.file)) {
+      const payload = { sourceJobId: source.id, printer, copies, language: original.language, archive: archived };
+      return await enqueueAndRespond(req, res, "reprint", payload, "reprint", { reprintOf: source.id });
+    }
+    const payload = payloadWithCopies(source.type, { ...original, printer }, copies);
+    return await enqueueAndRespond(req, res, source.type, payload, source.type, { reprintOf: source.id });
+  } catch (e) {
+    if (e.status === 400) {
+      logger.warn("REPRINT_INVALID", { id: req.id, jobId: source.id, error: e.message });
+      return res.status(400).json(badRequestBody(e));
+    }
+    logger.error("REPRINT_REQUEST_ERROR", { id: req.id, jobId: source.id, error: e.message, stack: e.stack });
     res.status(500).json({ success: false, error: e.message });
-  } finally {
-    if (browser) await browser.close();
   }
 });
 
@@ -857,8 +2084,35 @@ app.use((err, req, res, next) => {
   res.status(500).json({ success: false, error: "Internal Server Error" });
 });
 
+jobQueue.start();
+seedLastSuccess();
+browserPool.start();
+pruneArchive();
+setInterval(pruneArchive, 60 * 60 * 1000).unref();
+setInterval(() => idempotency.prune(), 60 * 60 * 1000).unref();
+events.start();
+printerMonitor.start();
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    printerMonitor.stop();
+    events.close();
+    browserPool.close().finally(() => process.exit(0));
+  });
+}
+
 app.listen(PORT, () => {
   logger.info(`🖨️ Print server listening on http://localhost:${PORT}`);
   if (ORIGIN !== "*") logger.info(`CORS origin: ${ORIGIN}`);
-  logger.info(`RAW printing needs a Windows printer SHARE name (e.g. \\HOST\\Share or just ShareName).`);
+  logger.info(`Print backend: ${transport.name}`);
+  if (RECEIPT_WIDTH !== THERMAL_WIDTH) {
+    logger.warn(`THERMAL_WIDTH=${THERMAL_WIDTH} is not a receipt width (${Object.keys(COLUMNS_BY_WIDTH).join(", ")}); receipts default to ${RECEIPT_WIDTH}`);
+  }
+  if (transport.name === "windows") {
+    logger.info(`RAW printing needs a Windows printer SHARE name (e.g. \\HOST\\Share or just ShareName).`);
+  } else if (transport.name === "virtual") {
+    logger.info(`Nothing is printed: every job is captured to ${CAPTURE_DIR} (GET /captures)`);
+  } else {
+    logger.info(`RAW printing needs a CUPS queue name or a device path (e.g. /dev/usb/lp0).`);
+  }
 });